@@ -6,46 +6,465 @@
 // DOM Elements
 const imageInput = document.getElementById('imageInput');
 const fileName = document.getElementById('fileName');
+const uploadSection = document.getElementById('uploadSection');
+const batchSection = document.getElementById('batchSection');
+const batchGenerateBtn = document.getElementById('batchGenerateBtn');
+const batchCancelBtn = document.getElementById('batchCancelBtn');
+const batchDownloadBtn = document.getElementById('batchDownloadBtn');
+const batchStatus = document.getElementById('batchStatus');
+const batchList = document.getElementById('batchList');
 const generateBtn = document.getElementById('generateBtn');
+const generateProgress = document.getElementById('generateProgress');
+const generateProgressBar = document.getElementById('generateProgressBar');
+const generateProgressText = document.getElementById('generateProgressText');
+const cancelBtn = document.getElementById('cancelBtn');
 const cellSizeInput = document.getElementById('cellSize');
 const maxAmplitudeInput = document.getElementById('maxAmplitude');
+const waveformSelect = document.getElementById('waveform');
+const frequencyModulationInput = document.getElementById('frequencyModulation');
+const maxCyclesInput = document.getElementById('maxCycles');
+const liftBlankAreasInput = document.getElementById('liftBlankAreas');
+const blankThresholdInput = document.getElementById('blankThreshold');
+const minBlankCellsInput = document.getElementById('minBlankCells');
+const hatchLayersInput = document.getElementById('hatchLayers');
+const carrierSelect = document.getElementById('carrier');
+const simplifyToleranceInput = document.getElementById('simplifyTolerance');
+const coordinatePrecisionInput = document.getElementById('coordinatePrecision');
+const omitUnchangedAxesInput = document.getElementById('omitUnchangedAxes');
+const fitArcsInput = document.getElementById('fitArcs');
+const arcToleranceInput = document.getElementById('arcTolerance');
+const optimizeOrderInput = document.getElementById('optimizeOrder');
+const mergeStrokesInput = document.getElementById('mergeStrokes');
+const optimizationReport = document.getElementById('optimizationReport');
+const travelReport = document.getElementById('travelReport');
+const samplingSelect = document.getElementById('sampling');
+const prefilterInput = document.getElementById('prefilter');
+const colorModeSelect = document.getElementById('colorMode');
+const paletteInput = document.getElementById('palette');
+const layerControls = document.getElementById('layerControls');
+const statsPanel = document.getElementById('statsPanel');
+const gammaInput = document.getElementById('gamma');
+const contrastInput = document.getElementById('contrast');
+const brightnessInput = document.getElementById('brightness');
+const blackPointInput = document.getElementById('blackPoint');
+const whitePointInput = document.getElementById('whitePoint');
+const invertInput = document.getElementById('invert');
+const toneCanvas = document.getElementById('toneCanvas');
 const outputWidthInput = document.getElementById('outputWidth');
+const svgToleranceInput = document.getElementById('svgTolerance');
 const originalCanvas = document.getElementById('originalCanvas');
 const previewSection = document.getElementById('previewSection');
 const svgSection = document.getElementById('svgSection');
 const svgContainer = document.getElementById('svgContainer');
 const gcodeSection = document.getElementById('gcodeSection');
 const gcodeOutput = document.getElementById('gcodeOutput');
+const resumeFromInput = document.getElementById('resumeFrom');
+const resumeUnitSelect = document.getElementById('resumeUnit');
+const resumeBtn = document.getElementById('resumeBtn');
+const resumeClearBtn = document.getElementById('resumeClearBtn');
+const resumeInfo = document.getElementById('resumeInfo');
 const downloadBtn = document.getElementById('downloadBtn');
+const simulatorSection = document.getElementById('simulatorSection');
+const simCanvas = document.getElementById('simCanvas');
+const simPlayBtn = document.getElementById('simPlayBtn');
+const simScrub = document.getElementById('simScrub');
+const simSpeedSelect = document.getElementById('simSpeed');
+const simStatus = document.getElementById('simStatus');
+const gcodeLint = document.getElementById('gcodeLint');
+const checkFileInput = document.getElementById('checkFileInput');
+const checkInput = document.getElementById('checkInput');
+const checkBtn = document.getElementById('checkBtn');
+const checkResults = document.getElementById('checkResults');
+const baudRateSelect = document.getElementById('baudRate');
+const connectBtn = document.getElementById('connectBtn');
+const sendBtn = document.getElementById('sendBtn');
+const pauseBtn = document.getElementById('pauseBtn');
+const abortBtn = document.getElementById('abortBtn');
+const sendProgress = document.getElementById('sendProgress');
+const sendStatus = document.getElementById('sendStatus');
+const serialLog = document.getElementById('serialLog');
+const jogStepSelect = document.getElementById('jogStep');
+const jogButtons = document.querySelectorAll('.jog-btn');
+const homeBtn = document.getElementById('homeBtn');
+const setOriginBtn = document.getElementById('setOriginBtn');
+const penUpTestBtn = document.getElementById('penUpTestBtn');
+const penDownTestBtn = document.getElementById('penDownTestBtn');
+const boundingBoxBtn = document.getElementById('boundingBoxBtn');
+const machineProfileSelect = document.getElementById('machineProfile');
+const penDownCommandInput = document.getElementById('penDownCommand');
+const penUpCommandInput = document.getElementById('penUpCommand');
+const penDwellInput = document.getElementById('penDwell');
+const headerTemplateInput = document.getElementById('headerTemplate');
+const footerTemplateInput = document.getElementById('footerTemplate');
+const toolChangeTemplateInput = document.getElementById('toolChangeTemplate');
+const drawFeedRateInput = document.getElementById('drawFeedRate');
+const travelFeedRateInput = document.getElementById('travelFeedRate');
+const cornerSlowdownInput = document.getElementById('cornerSlowdown');
+const minCornerFeedInput = document.getElementById('minCornerFeed');
+const accelerationInput = document.getElementById('acceleration');
+const originCornerSelect = document.getElementById('originCorner');
+const flipYInput = document.getElementById('flipY');
+const rotationSelect = document.getElementById('rotation');
+const offsetXInput = document.getElementById('offsetX');
+const offsetYInput = document.getElementById('offsetY');
+const paperSizeSelect = document.getElementById('paperSize');
+const paperOrientationSelect = document.getElementById('paperOrientation');
+const paperWidthInput = document.getElementById('paperWidth');
+const paperHeightInput = document.getElementById('paperHeight');
+const paperMarginInput = document.getElementById('paperMargin');
+const fitModeSelect = document.getElementById('fitMode');
+const bedWidthInput = document.getElementById('bedWidth');
+const bedHeightInput = document.getElementById('bedHeight');
+const tilingInput = document.getElementById('tiling');
+const tileOverlapInput = document.getElementById('tileOverlap');
+const registrationMarksInput = document.getElementById('registrationMarks');
+const tileControls = document.getElementById('tileControls');
+const tileSelect = document.getElementById('tileSelect');
+const tileInfo = document.getElementById('tileInfo');
+const downloadTilesBtn = document.getElementById('downloadTilesBtn');
+const errorMessage = document.getElementById('errorMessage');
+
+const SETTINGS_STORAGE_KEY = 'drawbot-gcode-settings';
+
+// Plain settings inputs persisted alongside the machine profile
+const PERSISTED_INPUTS = [
+    svgToleranceInput, waveformSelect, frequencyModulationInput, maxCyclesInput,
+    liftBlankAreasInput, blankThresholdInput, minBlankCellsInput, hatchLayersInput,
+    carrierSelect, samplingSelect, prefilterInput, colorModeSelect, paletteInput,
+    gammaInput, contrastInput, brightnessInput, blackPointInput, whitePointInput, invertInput,
+    drawFeedRateInput, travelFeedRateInput, cornerSlowdownInput, minCornerFeedInput, accelerationInput,
+    originCornerSelect, flipYInput, rotationSelect, offsetXInput, offsetYInput,
+    paperSizeSelect, paperOrientationSelect, paperWidthInput, paperHeightInput, paperMarginInput,
+    fitModeSelect, bedWidthInput, bedHeightInput, tilingInput, tileOverlapInput, registrationMarksInput,
+    simplifyToleranceInput, coordinatePrecisionInput, omitUnchangedAxesInput, fitArcsInput, arcToleranceInput,
+    optimizeOrderInput, mergeStrokesInput, baudRateSelect, jogStepSelect
+];
+
+// Highlight for the part of a plot already drawn before a resume point
+const RESUME_DRAWN_COLOR = '#2ecc71';
+
+// Lines kept in the serial console
+const SERIAL_LOG_LINES = 200;
+
+// Paper formats in mm, portrait
+const PAPER_SIZES = {
+    A5: { width: 148, height: 210 },
+    A4: { width: 210, height: 297 },
+    A3: { width: 297, height: 420 },
+    Letter: { width: 215.9, height: 279.4 }
+};
+
+// Images with more pixels than this are generated in a worker, with progress and cancel
+const BACKGROUND_GENERATION_PIXELS = 250000;
+
+// Drawings with more points than this get their G-code written in the worker
+const BACKGROUND_RENDER_POINTS = 50000;
 
 let loadedImage = null;
+let loadedSvg = null;
+let loadedFileName = '';
+let sourceHistogram = null;
 let currentGCode = '';
+let generatedGCode = '';
+let currentPathData = null;
+let currentGCodeOptions = null;
+let currentBaseName = 'drawing';
+let simulation = null;
+let generatorWorker = null;
+let generationId = 0;
+let serialConnection = null;
+let grblSender = null;
+let sendingGCode = false;
+let currentTiles = null;
+let batchItems = [];
+let batchRunning = false;
+let batchCancelled = false;
+let stopBatchWorker = null;
 
 // Event Listeners
 imageInput.addEventListener('change', handleImageUpload);
+uploadSection.addEventListener('dragover', handleDragOver);
+uploadSection.addEventListener('dragleave', () => uploadSection.classList.remove('drag-over'));
+uploadSection.addEventListener('drop', handleDrop);
+batchGenerateBtn.addEventListener('click', processBatch);
+batchCancelBtn.addEventListener('click', cancelBatch);
+batchDownloadBtn.addEventListener('click', downloadBatch);
 generateBtn.addEventListener('click', generateGCode);
+cancelBtn.addEventListener('click', cancelGeneration);
 downloadBtn.addEventListener('click', downloadGCode);
+tileSelect.addEventListener('change', () => showTile(parseInt(tileSelect.value)));
+downloadTilesBtn.addEventListener('click', downloadTiles);
+resumeBtn.addEventListener('click', applyResume);
+resumeClearBtn.addEventListener('click', clearResume);
+simPlayBtn.addEventListener('click', toggleSimulation);
+simScrub.addEventListener('input', scrubSimulation);
+checkBtn.addEventListener('click', checkPastedGCode);
+checkFileInput.addEventListener('change', handleCheckFileUpload);
+connectBtn.addEventListener('click', toggleSerialConnection);
+sendBtn.addEventListener('click', sendGCodeToPlotter);
+pauseBtn.addEventListener('click', togglePauseSending);
+abortBtn.addEventListener('click', abortSending);
+jogButtons.forEach(button => button.addEventListener('click', () => jog(
+    parseFloat(button.dataset.jogX) || 0,
+    parseFloat(button.dataset.jogY) || 0
+)));
+homeBtn.addEventListener('click', () => sendMachineCommands('$H'));
+setOriginBtn.addEventListener('click', () => sendMachineCommands('G92 X0 Y0'));
+penUpTestBtn.addEventListener('click', () => testPen('penUp'));
+penDownTestBtn.addEventListener('click', () => testPen('penDown'));
+boundingBoxBtn.addEventListener('click', drawBoundingBox);
+machineProfileSelect.addEventListener('change', handleProfileChange);
+[penDownCommandInput, penUpCommandInput, penDwellInput, headerTemplateInput, footerTemplateInput, toolChangeTemplateInput]
+    .forEach(input => input.addEventListener('input', saveSettings));
+PERSISTED_INPUTS.forEach(input => input.addEventListener('change', saveSettings));
+[gammaInput, contrastInput, brightnessInput, blackPointInput, whitePointInput, invertInput]
+    .forEach(input => input.addEventListener('input', drawTonePreview));
+
+initMachineProfiles();
+restoreSettingInputs();
+drawTonePreview();
+
+/**
+ * Fill the profile dropdown and restore the persisted selection
+ */
+function initMachineProfiles() {
+    for (const [id, profile] of Object.entries(MACHINE_PROFILES)) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = profile.label;
+        machineProfileSelect.appendChild(option);
+    }
+
+    const settings = loadSettings();
+    if (settings.customProfile) {
+        Object.assign(MACHINE_PROFILES.custom, settings.customProfile);
+    }
+    machineProfileSelect.value = MACHINE_PROFILES[settings.machineProfile] ? settings.machineProfile : 'spindle';
+    showProfile(machineProfileSelect.value);
+}
+
+/**
+ * Restore persisted values of the plain settings inputs
+ */
+function restoreSettingInputs() {
+    const { inputs = {} } = loadSettings();
+    for (const input of PERSISTED_INPUTS) {
+        if (!(input.id in inputs)) continue;
+        if (input.type === 'checkbox') {
+            input.checked = inputs[input.id];
+        } else {
+            input.value = inputs[input.id];
+        }
+    }
+}
+
+/**
+ * Handle machine profile selection
+ */
+function handleProfileChange() {
+    showProfile(machineProfileSelect.value);
+    saveSettings();
+}
+
+/**
+ * Show a profile's commands in the settings panel (editable only for the custom profile)
+ */
+function showProfile(profileId) {
+    const profile = MACHINE_PROFILES[profileId];
+    const editable = profileId === 'custom';
+
+    penDownCommandInput.value = profile.penDown;
+    penUpCommandInput.value = profile.penUp;
+    penDwellInput.value = profile.dwell;
+    headerTemplateInput.value = profile.header;
+    footerTemplateInput.value = profile.footer;
+    toolChangeTemplateInput.value = profile.toolChange;
+
+    [penDownCommandInput, penUpCommandInput, penDwellInput, headerTemplateInput, footerTemplateInput, toolChangeTemplateInput]
+        .forEach(input => { input.readOnly = !editable; });
+}
+
+/**
+ * Get the selected machine profile, including any custom edits
+ */
+function getSelectedProfile() {
+    const profileId = machineProfileSelect.value;
+    if (profileId !== 'custom') return MACHINE_PROFILES[profileId];
+
+    return {
+        ...MACHINE_PROFILES.custom,
+        penDown: penDownCommandInput.value,
+        penUp: penUpCommandInput.value,
+        dwell: parseFloat(penDwellInput.value) || 0,
+        header: headerTemplateInput.value,
+        footer: footerTemplateInput.value,
+        toolChange: toolChangeTemplateInput.value
+    };
+}
+
+/**
+ * Load persisted settings from localStorage
+ */
+function loadSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Persist settings to localStorage
+ */
+function saveSettings() {
+    if (machineProfileSelect.value === 'custom') {
+        Object.assign(MACHINE_PROFILES.custom, getSelectedProfile());
+    }
+    const { label, ...customProfile } = MACHINE_PROFILES.custom;
+    const inputs = {};
+    for (const input of PERSISTED_INPUTS) {
+        inputs[input.id] = input.type === 'checkbox' ? input.checked : input.value;
+    }
+    const settings = {
+        machineProfile: machineProfileSelect.value,
+        customProfile,
+        inputs
+    };
+
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (e) {
+        // Storage may be unavailable (private mode, file://); settings just won't persist
+    }
+}
 
 /**
  * Handle image upload
  */
 function handleImageUpload(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+    loadImageFiles(Array.from(event.target.files));
+}
+
+/**
+ * Highlight the upload area while files are dragged over it
+ */
+function handleDragOver(event) {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    uploadSection.classList.add('drag-over');
+}
 
-    fileName.textContent = file.name;
+/**
+ * Load dropped images, including those inside dropped folders
+ */
+async function handleDrop(event) {
+    event.preventDefault();
+    uploadSection.classList.remove('drag-over');
 
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        const img = new Image();
-        img.onload = function() {
-            loadedImage = img;
-            displayOriginalImage(img);
-            generateBtn.disabled = false;
+    // Entries have to be taken before the handler awaits, while the drop data is readable
+    const entries = Array.from(event.dataTransfer.items || [])
+        .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+        .filter(Boolean);
+    if (entries.length === 0) {
+        loadImageFiles(Array.from(event.dataTransfer.files));
+        return;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        files.push(...await readEntryFiles(entry));
+    }
+    loadImageFiles(files);
+}
+
+/**
+ * Files of a dropped file system entry, walking folders recursively
+ */
+async function readEntryFiles(entry) {
+    if (entry.isFile) {
+        return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+    }
+    if (!entry.isDirectory) return [];
+
+    // readEntries returns the folder in chunks until it returns none
+    const reader = entry.createReader();
+    const children = [];
+    for (;;) {
+        const chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (chunk.length === 0) break;
+        children.push(...chunk);
+    }
+    children.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+    const files = [];
+    for (const child of children) {
+        files.push(...await readEntryFiles(child));
+    }
+    return files;
+}
+
+/**
+ * Check whether a file is an image or SVG the generator can load
+ */
+function isImageFile(file) {
+    return file.type.startsWith('image/') || /\.(svg|png|jpe?g|gif|webp|bmp)$/i.test(file.name);
+}
+
+/**
+ * Load the chosen images: the first one goes to the preview, and several of them
+ * are listed in the batch section
+ */
+function loadImageFiles(files) {
+    const images = files.filter(isImageFile);
+    if (images.length === 0) return;
+
+    fileName.textContent = images.length > 1 ? `${images.length} images` : images[0].name;
+    setBatchFiles(images.length > 1 ? images : []);
+    loadImageFile(images[0]).catch(error => showError(error.message));
+}
+
+/**
+ * Read an image or SVG file and decode it, without loading it for generation.
+ * Resolves to { image, svg } with svg the SVG text, or null for a bitmap.
+ */
+function decodeImageFile(file) {
+    // SVG artwork is kept as text for vector import; the image is only the preview
+    const isSvg = file.type === 'image/svg+xml' || /\.svg$/i.test(file.name);
+
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            const img = new Image();
+            img.onload = () => resolve({ image: img, svg: isSvg ? e.target.result : null });
+            img.onerror = () => reject(new Error(`${file.name} could not be loaded as an image.`));
+            img.src = isSvg
+                ? 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(e.target.result)
+                : e.target.result;
         };
-        img.src = e.target.result;
-    };
-    reader.readAsDataURL(file);
+        reader.onerror = () => reject(new Error(`${file.name} could not be read.`));
+        if (isSvg) {
+            reader.readAsText(file);
+        } else {
+            reader.readAsDataURL(file);
+        }
+    });
+}
+
+/**
+ * Load an image or SVG file for generation and show it in the preview.
+ * Returns a promise that resolves once the image is ready.
+ */
+function loadImageFile(file) {
+    return decodeImageFile(file).then(({ image, svg }) => {
+        loadedSvg = svg;
+        loadedImage = image;
+        loadedFileName = file.name;
+        displayOriginalImage(image);
+        const ctx = originalCanvas.getContext('2d');
+        sourceHistogram = computeHistogram(ctx.getImageData(0, 0, image.width, image.height));
+        drawTonePreview();
+        generateBtn.disabled = false;
+    });
 }
 
 /**
@@ -59,237 +478,1042 @@ function displayOriginalImage(img) {
     previewSection.style.display = 'block';
 }
 
+
 /**
- * Get grayscale value (0-255, 0 = black, 255 = white)
+ * Collect the pixels and settings for hatching the image on canvas (the loaded image
+ * by default) into path data of outputWidth mm, honoring the fit mode (see
+ * generateImagePathData)
  */
-function getGrayscale(r, g, b, a) {
-    // Convert to grayscale using luminance formula
-    // Also consider alpha - transparent pixels are treated as white
-    if (a < 128) return 255;
-    return Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+function buildImageJob(outputWidth, printableWidth, printableHeight, fitMode = fitModeSelect.value, canvas = originalCanvas) {
+    const cellSize = parseFloat(cellSizeInput.value) || 5;
+    const maxAmplitude = parseFloat(maxAmplitudeInput.value) || 2;
+
+    let imgX = 0;
+    let imgY = 0;
+    let imgWidth = canvas.width;
+    let imgHeight = canvas.height;
+    let drawWidth = outputWidth;
+
+    if (fitMode === 'fit') {
+        drawWidth = Math.min(printableWidth, printableHeight * imgWidth / imgHeight);
+    } else if (fitMode === 'crop') {
+        // Keep the scale and sample only the centered part of the image that fits
+        const scale = outputWidth / imgWidth;
+        const cropWidth = Math.max(1, Math.min(imgWidth, Math.floor(printableWidth / scale)));
+        const cropHeight = Math.max(1, Math.min(imgHeight, Math.floor(printableHeight / scale)));
+        imgX = Math.floor((imgWidth - cropWidth) / 2);
+        imgY = Math.floor((imgHeight - cropHeight) / 2);
+        imgWidth = cropWidth;
+        imgHeight = cropHeight;
+        drawWidth = cropWidth * scale;
+    }
+
+    // The job carries a copy of the pixels, so it can be transferred to a worker
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.getImageData(imgX, imgY, imgWidth, imgHeight);
+
+    return {
+        imageData: { data: imageData.data, width: imgWidth, height: imgHeight },
+        drawWidth,
+        cellSize,
+        maxAmplitude,
+        colorMode: colorModeSelect.value,
+        palette: parsePalette(paletteInput.value),
+        tone: getToneSettings(),
+        hatchLayers: parseHatchLayers(hatchLayersInput.value),
+        carrier: carrierSelect.value,
+        modulation: {
+            waveform: waveformSelect.value,
+            maxCycles: frequencyModulationInput.checked ? (parseInt(maxCyclesInput.value) || 4) : 0,
+            blankThreshold: liftBlankAreasInput.checked ? (parseFloat(blankThresholdInput.value) || 5) / 100 : 0,
+            minBlankCells: parseInt(minBlankCellsInput.value) || 3,
+            sampling: samplingSelect.value,
+            prefilter: parseFloat(prefilterInput.value) || 0
+        }
+    };
 }
 
 /**
- * Calculate average darkness for a cell (0 = white, 1 = black)
+ * Flatten SVG artwork (the loaded SVG by default) into strokes of outputWidth mm,
+ * scaled down to the printable area in fit mode. The strokes keep the document
+ * order; the generation orders them (see svgGeneration).
  */
-function getCellDarkness(imageData, x, y, cellSize, imgWidth, imgHeight) {
-    let totalGray = 0;
-    let count = 0;
+function buildSvgPathData(outputWidth, printableWidth, printableHeight, fitMode = fitModeSelect.value, svgText = loadedSvg) {
+    const tolerance = parseFloat(svgToleranceInput.value) || 0.1;
+    let artwork = importSvg(svgText, { tolerance, width: outputWidth });
+    if (fitMode === 'fit') {
+        const drawWidth = Math.min(printableWidth, printableHeight * artwork.width / artwork.height);
+        artwork = importSvg(svgText, { tolerance, width: drawWidth });
+    }
+    if (artwork.strokes.length === 0) {
+        throw new Error('The SVG file has no visible path, line, polyline, polygon, rect, circle or ellipse elements.');
+    }
 
-    const startX = Math.floor(x);
-    const startY = Math.floor(y);
-    const endX = Math.min(startX + cellSize, imgWidth);
-    const endY = Math.min(startY + cellSize, imgHeight);
+    return strokesToPathData(artwork.strokes, artwork.width, artwork.height);
+}
 
-    for (let py = startY; py < endY; py++) {
-        for (let px = startX; px < endX; px++) {
-            const idx = (py * imgWidth + px) * 4;
-            const gray = getGrayscale(
-                imageData.data[idx],
-                imageData.data[idx + 1],
-                imageData.data[idx + 2],
-                imageData.data[idx + 3]
-            );
-            totalGray += gray;
-            count++;
+/**
+ * Generation settings for SVG artwork: its strokes come in document order, so they
+ * are always ordered, in the generator worker with its time limit
+ */
+function svgGeneration(generation) {
+    return { ...generation, optimizeOrder: true };
+}
+
+/**
+ * Read the settings for a generation: the drawing area, output transform, G-code
+ * options, simplification, stroke ordering and tiling. They are read once, so a
+ * worker result or a batch is rendered with what was asked for.
+ */
+function readGenerationSettings() {
+    const outputWidth = parseFloat(outputWidthInput.value) || 100;
+    const feedRate = parseFloat(drawFeedRateInput.value) || 1000;
+    const minCornerFeedRate = cornerSlowdownInput.checked
+        ? feedRate * (parseFloat(minCornerFeedInput.value) || 40) / 100
+        : 0;
+    const origin = originCornerSelect.value;
+    const sheet = getSheet();
+    const workArea = getWorkArea(origin);
+
+    // Area the drawing has to fit in: the sheet inside its margins, or the whole bed
+    const printableWidth = sheet ? sheet.width - 2 * sheet.margin : workArea.maxX - workArea.minX;
+    const printableHeight = sheet ? sheet.height - 2 * sheet.margin : workArea.maxY - workArea.minY;
+
+    const tiling = tilingInput.checked;
+    return {
+        // Tiles fill the printable area, so a tiled drawing keeps the output width
+        area: { outputWidth, printableWidth, printableHeight, fitMode: tiling ? 'none' : fitModeSelect.value },
+        sheet,
+        transform: {
+            rotation: parseInt(rotationSelect.value) || 0,
+            origin,
+            flipY: flipYInput.checked,
+            offsetX: parseFloat(offsetXInput.value) || 0,
+            offsetY: parseFloat(offsetYInput.value) || 0
+        },
+        gcodeOptions: {
+            feedRate,
+            travelFeedRate: parseFloat(travelFeedRateInput.value) || 0,
+            minCornerFeedRate,
+            profile: getSelectedProfile(),
+            workArea,
+            precision: Math.max(0, Math.min(6, parseInt(coordinatePrecisionInput.value) || 0)),
+            omitUnchangedAxes: omitUnchangedAxesInput.checked,
+            acceleration: parseFloat(accelerationInput.value) || 0
+        },
+        finish: {
+            simplifyTolerance: parseFloat(simplifyToleranceInput.value) || 0,
+            arcTolerance: fitArcsInput.checked ? parseFloat(arcToleranceInput.value) || 0.05 : 0
+        },
+        optimizeOrder: optimizeOrderInput.checked,
+        mergeStrokes: mergeStrokesInput.checked,
+        tiling: tiling
+            ? {
+                tileWidth: printableWidth,
+                tileHeight: printableHeight,
+                overlap: parseFloat(tileOverlapInput.value) || 0,
+                marks: registrationMarksInput.checked
+            }
+            : null
+    };
+}
+
+/**
+ * Main generation function
+ */
+function generateGCode() {
+    if (!loadedImage) return;
+
+    // A new id makes any generation still running for an earlier click stale
+    let generation = {
+        id: ++generationId,
+        baseName: outputBaseNames([loadedFileName])[0],
+        ...readGenerationSettings()
+    };
+    const { outputWidth, printableWidth, printableHeight, fitMode } = generation.area;
+    stopWorkers();
+    travelReport.textContent = '';
+
+    let imagePathData;
+    try {
+        if (loadedSvg) {
+            imagePathData = buildSvgPathData(outputWidth, printableWidth, printableHeight, fitMode);
+            generation = svgGeneration(generation);
+        } else {
+            const job = buildImageJob(outputWidth, printableWidth, printableHeight, fitMode);
+            const large = job.imageData.width * job.imageData.height > BACKGROUND_GENERATION_PIXELS;
+            if (large && runInWorker({ job, generation }, generation)) return;
+            imagePathData = generateImagePathData(job);
         }
+    } catch (error) {
+        showError(error.message);
+        return;
     }
 
-    if (count === 0) return 0;
-    // Convert to darkness (0 = white, 1 = black)
-    return 1 - (totalGray / count / 255);
+    renderDrawing(imagePathData, generation);
 }
 
 /**
- * Generate Hatch Sawtooth path
- * Creates a continuous zigzag path where amplitude varies based on image darkness
+ * Run a drawing through the generator worker, showing its progress until it
+ * finishes or is cancelled. message is { job, generation } to trace an image first,
+ * its pixels transferred rather than copied, or { imagePathData, generation }.
+ * Returns false when workers are unavailable, leaving the message untouched.
  */
-function generateHatchSawtoothPath(imageData, imgWidth, imgHeight, cellSize, maxAmplitude, outputWidth) {
-    const scale = outputWidth / imgWidth;
-    const outputHeight = imgHeight * scale;
-    const scaledCellSize = cellSize * scale;
+function runInWorker(message, generation) {
+    if (typeof Worker === 'undefined') return false;
+    try {
+        generatorWorker = new Worker('generator-worker.js');
+    } catch (error) {
+        return false;
+    }
+
+    showGenerationProgress(message.job ? 'Generating' : 'Writing G-code', message.job ? 0 : null);
+    generatorWorker.onmessage = event => {
+        const reply = event.data;
+        if (generation.id !== generationId) return;
+        if (reply.type === 'progress') {
+            showGenerationProgress(reply.label, reply.total > 0 ? reply.done / reply.total : null);
+            return;
+        }
+        stopWorkers();
+        if (reply.type === 'error') {
+            showError(reply.message);
+            return;
+        }
+        if (message.job) {
+            // A new drawing replaces the tiles of the last one
+            currentTiles = null;
+            tileControls.style.display = 'none';
+            if (reply.tiles) showTiles(reply.tiles, generation);
+        }
+        renderDrawingOutput(reply.output, generation);
+    };
+    generatorWorker.onerror = event => {
+        event.preventDefault();
+        stopWorkers();
+        showError(`Generation failed: ${event.message}`);
+    };
+    generatorWorker.postMessage(message, message.job ? [message.job.imageData.data.buffer] : []);
+    return true;
+}
 
-    const numRows = Math.ceil(imgHeight / cellSize);
-    const numCols = Math.ceil(imgWidth / cellSize);
+/**
+ * Show the progress bar with the fraction done, or as busy when fraction is null
+ */
+function showGenerationProgress(label, fraction) {
+    generateProgress.style.display = 'flex';
+    generateBtn.disabled = true;
+    if (fraction === null) {
+        generateProgressBar.removeAttribute('value');
+        generateProgressText.textContent = `${label}...`;
+    } else {
+        generateProgressBar.value = fraction;
+        generateProgressText.textContent = `${label}... ${Math.floor(fraction * 100)}%`;
+    }
+}
 
-    const path = [];
-    
-    // Start at top-left
-    let currentX = 0;
-    let currentY = scaledCellSize / 2;
+/**
+ * Stop the background generation, keeping the last output
+ */
+function cancelGeneration() {
+    generationId++;
+    stopWorkers();
+    travelReport.textContent = '';
+}
 
-    path.push({ x: currentX, y: currentY });
+/**
+ * Terminate the running worker and hide the progress bar
+ */
+function stopWorkers() {
+    if (generatorWorker) {
+        generatorWorker.terminate();
+        generatorWorker = null;
+    }
+    generateProgress.style.display = 'none';
+    generateBtn.disabled = !loadedImage;
+}
 
-    for (let row = 0; row < numRows; row++) {
-        const y = row * cellSize;
-        const baseY = (row + 0.5) * scaledCellSize;
-        const goingRight = row % 2 === 0;
+/**
+ * Render generated image-space path data, or split it into poster tiles and
+ * render the first one when tiling is enabled
+ */
+function renderDrawing(imagePathData, generation) {
+    currentTiles = null;
+    tileControls.style.display = 'none';
+    if (!generation.tiling) {
+        renderImagePathData(imagePathData, generation);
+        return;
+    }
 
-        if (goingRight) {
-            // Going left to right
-            for (let col = 0; col < numCols; col++) {
-                const x = col * cellSize;
-                const darkness = getCellDarkness(imageData, x, y, cellSize, imgWidth, imgHeight);
-                const amplitude = darkness * maxAmplitude;
+    let tiles;
+    try {
+        tiles = splitDrawingIntoTiles(imagePathData, generation.tiling);
+    } catch (error) {
+        showError(error.message);
+        return;
+    }
+    showTiles(tiles, generation);
+    renderImagePathData(tiles[0].pathData, generation);
+}
 
-                const cellCenterX = (col + 0.5) * scaledCellSize;
-                const cellStartX = col * scaledCellSize;
-                const cellEndX = Math.min((col + 1) * scaledCellSize, outputWidth);
+/**
+ * Fill the tile picker with the poster tiles of a drawing
+ */
+function showTiles(tiles, generation) {
+    currentTiles = { tiles, generation };
+    const rows = Math.max(...tiles.map(tile => tile.row)) + 1;
+    const cols = Math.max(...tiles.map(tile => tile.col)) + 1;
+    tileSelect.innerHTML = '';
+    tiles.forEach((tile, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = `Row ${tile.row + 1}, column ${tile.col + 1}`;
+        tileSelect.appendChild(option);
+    });
+    tileInfo.textContent = `${tiles.length} sheets in a ${rows} × ${cols} grid`;
+    tileControls.style.display = 'flex';
+}
 
-                // Create sawtooth within cell
-                // Peak at center, valleys at edges
-                if (col === 0) {
-                    // First cell - start from edge
-                    path.push({ x: cellCenterX, y: baseY - amplitude });
-                    path.push({ x: cellEndX, y: baseY });
-                } else {
-                    path.push({ x: cellCenterX, y: baseY - amplitude });
-                    path.push({ x: cellEndX, y: baseY });
-                }
-            }
-        } else {
-            // Going right to left
-            for (let col = numCols - 1; col >= 0; col--) {
-                const x = col * cellSize;
-                const darkness = getCellDarkness(imageData, x, y, cellSize, imgWidth, imgHeight);
-                const amplitude = darkness * maxAmplitude;
-
-                const cellCenterX = (col + 0.5) * scaledCellSize;
-                const cellStartX = col * scaledCellSize;
-                const cellEndX = Math.min((col + 1) * scaledCellSize, outputWidth);
-
-                // Create sawtooth within cell (reversed direction)
-                if (col === numCols - 1) {
-                    path.push({ x: cellCenterX, y: baseY - amplitude });
-                    path.push({ x: cellStartX, y: baseY });
-                } else {
-                    path.push({ x: cellCenterX, y: baseY - amplitude });
-                    path.push({ x: cellStartX, y: baseY });
-                }
-            }
-        }
+/**
+ * Show one of the poster tiles in the preview, G-code and simulator
+ */
+function showTile(index) {
+    if (!currentTiles) return;
+    stopWorkers();
+    travelReport.textContent = '';
+    const generation = { ...currentTiles.generation, id: ++generationId };
+    renderImagePathData(currentTiles.tiles[index].pathData, generation);
+}
 
-        // Connect to next row (if not last row)
-        if (row < numRows - 1) {
-            const nextBaseY = (row + 1.5) * scaledCellSize;
-            if (goingRight) {
-                // We're at right edge, move down
-                path.push({ x: outputWidth, y: nextBaseY });
-            } else {
-                // We're at left edge, move down
-                path.push({ x: 0, y: nextBaseY });
-            }
+/**
+ * Turn image-space path data into its preview, G-code and simulation (see
+ * buildDrawingOutput). Stroke ordering and long paths go through the generator worker.
+ */
+function renderImagePathData(imagePathData, generation) {
+    if (generation.optimizeOrder || imagePathData.path.length > BACKGROUND_RENDER_POINTS) {
+        // Already a single tile, so the worker must not split it again
+        const message = { imagePathData, generation: { ...generation, tiling: null } };
+        if (runInWorker(message, generation)) return;
+    }
+    renderDrawingOutput(buildDrawingOutput(imagePathData, generation), generation);
+}
+
+/**
+ * Show a drawing's output from buildDrawingOutput: the SVG preview, stats,
+ * reports, G-code and simulation
+ */
+function renderDrawingOutput(output, generation) {
+    const { pathData } = output;
+    svgContainer.innerHTML = output.svg;
+    svgSection.style.display = 'block';
+    currentPathData = pathData;
+    renderLayerControls(pathData);
+
+    currentGCodeOptions = generation.gcodeOptions;
+    currentBaseName = generation.baseName;
+    renderStats(output.stats);
+    if (output.travel) renderTravelReport(output.travel.before, output.travel.after);
+    currentGCode = output.gcode;
+    if (output.error) {
+        showError(output.error);
+    } else {
+        renderOptimizationReport(output.sizes.before, output.sizes.after);
+        hideError();
+    }
+    generatedGCode = currentGCode;
+    resumeInfo.textContent = '';
+    resumeClearBtn.disabled = true;
+    gcodeOutput.value = currentGCode;
+    gcodeSection.style.display = currentGCode ? 'block' : 'none';
+    if (currentGCode) {
+        renderLintResults(gcodeLint, validateGCode(currentGCode, getLintOptions()));
+    }
+    loadSimulation(currentGCode);
+    updateSenderControls();
+
+    // Scroll to SVG section
+    svgSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Build per-layer visibility toggles and downloads for multi-pen drawings
+ */
+function renderLayerControls(pathData) {
+    layerControls.innerHTML = '';
+    if (!pathData.layers) return;
+
+    pathData.layers.forEach((layer, index) => {
+        const row = document.createElement('div');
+        row.className = 'layer-control';
+
+        const label = document.createElement('label');
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = true;
+        toggle.dataset.layer = index;
+        toggle.addEventListener('change', () => {
+            svgContainer.querySelectorAll(`.layer-path[data-layer="${index}"]`)
+                .forEach(el => { el.style.display = toggle.checked ? '' : 'none'; });
+        });
+        const swatch = document.createElement('span');
+        swatch.className = 'layer-swatch';
+        swatch.style.background = layer.color;
+        label.append(toggle, swatch, layer.name);
+
+        const download = document.createElement('button');
+        download.className = 'layer-download-btn';
+        download.textContent = 'Download';
+        download.addEventListener('click', () => downloadLayerGCode(index));
+
+        row.append(label, download);
+        layerControls.appendChild(row);
+    });
+}
+
+/**
+ * Fill the stats panel with a plot summary from computePathStats
+ */
+function renderStats(stats) {
+    const rows = [
+        ['Drawn length', `${(stats.drawnLength / 1000).toFixed(2)} m`],
+        ['Travel length', `${(stats.travelLength / 1000).toFixed(2)} m`],
+        ['Pen lifts', stats.penLifts],
+        ['Segments', stats.segments],
+        ['Estimated time', formatDuration(stats.duration)]
+    ];
+    statsPanel.innerHTML = '';
+    rows.forEach(([name, value]) => {
+        const term = document.createElement('dt');
+        term.textContent = name;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        detail.dataset.stat = name;
+        statsPanel.append(term, detail);
+    });
+}
+
+/**
+ * Show the G-code size before and after simplification and compact formatting
+ */
+function renderOptimizationReport(before, after) {
+    const formatSize = bytes => (bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} B`);
+    const saved = before.bytes > 0 ? Math.round((1 - after.bytes / before.bytes) * 100) : 0;
+    optimizationReport.textContent =
+        `Before optimization: ${before.lines} lines, ${formatSize(before.bytes)}. ` +
+        `After: ${after.lines} lines, ${formatSize(after.bytes)} (${saved}% smaller).`;
+}
+
+/**
+ * Show the pen-up travel before and after stroke ordering
+ */
+function renderTravelReport(before, after) {
+    const saved = before - after;
+    const percent = before > 0 ? Math.round(saved / before * 100) : 0;
+    travelReport.textContent =
+        `Pen-up travel: ${before.toFixed(0)} mm before ordering, ${after.toFixed(0)} mm after ` +
+        `(${saved.toFixed(0)} mm saved, ${percent}%).`;
+}
+
+/**
+ * Read the tone curve settings from the UI
+ */
+function getToneSettings() {
+    const gamma = parseFloat(gammaInput.value);
+    const blackPoint = parseInt(blackPointInput.value);
+    const whitePoint = parseInt(whitePointInput.value);
+
+    return {
+        gamma: gamma > 0 ? gamma : 1,
+        contrast: (parseFloat(contrastInput.value) || 0) / 100,
+        brightness: (parseFloat(brightnessInput.value) || 0) / 100,
+        blackPoint: isNaN(blackPoint) ? 0 : blackPoint,
+        whitePoint: isNaN(whitePoint) ? 255 : whitePoint,
+        invert: invertInput.checked
+    };
+}
+
+/**
+ * Draw the source histogram with the current tone curve on top
+ */
+function drawTonePreview() {
+    const ctx = toneCanvas.getContext('2d');
+    const width = toneCanvas.width;
+    const height = toneCanvas.height;
+    const curve = buildToneCurve(getToneSettings());
+
+    ctx.fillStyle = '#fafafa';
+    ctx.fillRect(0, 0, width, height);
+
+    if (sourceHistogram) {
+        const maxCount = Math.max(...sourceHistogram);
+        ctx.fillStyle = '#bdc3c7';
+        for (let gray = 0; gray < 256; gray++) {
+            const barHeight = maxCount ? (sourceHistogram[gray] / maxCount) * height : 0;
+            ctx.fillRect(gray * width / 256, height - barHeight, width / 256, barHeight);
         }
     }
 
-    return { path, outputWidth, outputHeight };
+    ctx.strokeStyle = '#e67e22';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let gray = 0; gray < 256; gray++) {
+        const x = (gray + 0.5) * width / 256;
+        const y = height - (curve[gray] / 255) * height;
+        if (gray === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
 }
 
 /**
- * Generate SVG from path
+ * Get the selected sheet of paper, or null when the drawing is not placed on a sheet
  */
-function generateSVG(pathData) {
-    const { path, outputWidth, outputHeight } = pathData;
-    
-    if (path.length < 2) return '';
+function getSheet() {
+    if (paperSizeSelect.value === 'none') return null;
 
-    let pathD = `M ${path[0].x.toFixed(3)} ${path[0].y.toFixed(3)}`;
-    for (let i = 1; i < path.length; i++) {
-        pathD += ` L ${path[i].x.toFixed(3)} ${path[i].y.toFixed(3)}`;
+    let size;
+    if (paperSizeSelect.value === 'custom') {
+        size = {
+            width: parseFloat(paperWidthInput.value) || 210,
+            height: parseFloat(paperHeightInput.value) || 297
+        };
+    } else {
+        size = PAPER_SIZES[paperSizeSelect.value];
     }
 
-    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${outputWidth.toFixed(3)} ${outputHeight.toFixed(3)}" width="${outputWidth}" height="${outputHeight}">
-    <rect width="100%" height="100%" fill="white"/>
-    <path d="${pathD}" fill="none" stroke="black" stroke-width="0.3"/>
-</svg>`;
+    const landscape = paperOrientationSelect.value === 'landscape';
+    return {
+        width: landscape ? size.height : size.width,
+        height: landscape ? size.width : size.height,
+        margin: parseFloat(paperMarginInput.value) || 0
+    };
+}
+
+/**
+ * Get the machine work area in machine coordinates.
+ * It spans from the origin, or is centered on it for center-origin machines.
+ */
+function getWorkArea(origin) {
+    const width = parseFloat(bedWidthInput.value) || 300;
+    const height = parseFloat(bedHeightInput.value) || 300;
 
-    return svg;
+    if (origin === 'center') {
+        return { minX: -width / 2, minY: -height / 2, maxX: width / 2, maxY: height / 2 };
+    }
+    return { minX: 0, minY: 0, maxX: width, maxY: height };
 }
 
 /**
- * Generate G-Code from path
- * No pen lifts - continuous path
+ * Show an error below the generate button
  */
-function generateGCodeFromPath(pathData, feedRate = 1000) {
-    const { path } = pathData;
-    
-    if (path.length < 2) return '';
+function showError(message) {
+    errorMessage.textContent = message;
+    errorMessage.style.display = 'block';
+}
 
-    let gcode = [];
-    
-    // Header
-    gcode.push('; G-Code generated by Pen Plotter G-Code Generator');
-    gcode.push('; Hatch Sawtooth Algorithm - Continuous path (no pen lifts)');
-    gcode.push(`; Generated: ${new Date().toISOString()}`);
-    gcode.push('');
-    gcode.push('G21 ; Set units to millimeters');
-    gcode.push('G90 ; Absolute positioning');
-    gcode.push('G17 ; XY plane selection');
-    gcode.push('');
-    
-    // Move to start position (pen up)
-    gcode.push('; Move to start position');
-    gcode.push('M5 ; Pen up');
-    gcode.push(`G0 X${path[0].x.toFixed(3)} Y${path[0].y.toFixed(3)}`);
-    gcode.push('');
-    
-    // Lower pen and draw
-    gcode.push('; Begin drawing');
-    gcode.push('M3 ; Pen down');
-    gcode.push(`G1 F${feedRate}`);
-    gcode.push('');
-    
-    // Draw path (no pen lifts)
-    for (let i = 1; i < path.length; i++) {
-        gcode.push(`G1 X${path[i].x.toFixed(3)} Y${path[i].y.toFixed(3)}`);
+/**
+ * Hide the error message
+ */
+function hideError() {
+    errorMessage.textContent = '';
+    errorMessage.style.display = 'none';
+}
+
+/**
+ * Replay G-code in the simulator, paused at the start
+ */
+function loadSimulation(gcode, drawnMoves = []) {
+    pauseSimulation();
+    if (!gcode) {
+        simulation = null;
+        simulatorSection.style.display = 'none';
+        return;
     }
-    
-    // Footer
-    gcode.push('');
-    gcode.push('; End of drawing');
-    gcode.push('M5 ; Pen up');
-    gcode.push('G0 X0 Y0 ; Return to origin');
-    gcode.push('M2 ; End program');
 
-    return gcode.join('\n');
+    const profile = getSelectedProfile();
+    const replay = simulateGCode(gcode, {
+        penDown: profile.penDown,
+        penUp: profile.penUp,
+        feedRate: parseFloat(drawFeedRateInput.value) || 1000,
+        rapidRate: parseFloat(travelFeedRateInput.value) || 3000
+    });
+
+    // Cumulative end time of every move, for scrubbing by time
+    let elapsed = 0;
+    const ends = replay.moves.map(move => (elapsed += move.duration));
+
+    // Include what was drawn before a resume point, which is shown throughout
+    const bounds = { ...replay.bounds };
+    drawnMoves.forEach(move => [move.from, move.to].forEach(point => {
+        bounds.minX = Math.min(bounds.minX, point.x);
+        bounds.minY = Math.min(bounds.minY, point.y);
+        bounds.maxX = Math.max(bounds.maxX, point.x);
+        bounds.maxY = Math.max(bounds.maxY, point.y);
+    }));
+
+    simulation = {
+        ...replay,
+        bounds,
+        drawnMoves,
+        ends,
+        yUp: flipYInput.checked,
+        time: 0,
+        playing: false,
+        lastFrame: null
+    };
+    simulatorSection.style.display = 'block';
+    simScrub.value = 0;
+    renderSimulation();
 }
 
 /**
- * Main generation function
+ * Draw the simulated program up to the current time: strokes with the pen down
+ * in black, pen-up travel dashed in blue, and the pen as a dot
  */
-function generateGCode() {
-    if (!loadedImage) return;
+function renderSimulation() {
+    if (!simulation) return;
+    const { moves, drawnMoves, ends, bounds, time, totalTime, yUp } = simulation;
+    const ctx = simCanvas.getContext('2d');
+    ctx.clearRect(0, 0, simCanvas.width, simCanvas.height);
 
-    const cellSize = parseInt(cellSizeInput.value) || 5;
-    const maxAmplitude = parseFloat(maxAmplitudeInput.value) || 2;
-    const outputWidth = parseFloat(outputWidthInput.value) || 100;
+    const margin = 10;
+    const width = Math.max(bounds.maxX - bounds.minX, 1e-6);
+    const height = Math.max(bounds.maxY - bounds.minY, 1e-6);
+    const scale = Math.min((simCanvas.width - 2 * margin) / width, (simCanvas.height - 2 * margin) / height);
+    const toCanvas = point => ({
+        x: margin + (point.x - bounds.minX) * scale,
+        y: yUp ? simCanvas.height - margin - (point.y - bounds.minY) * scale : margin + (point.y - bounds.minY) * scale
+    });
 
-    // Get image data
-    const ctx = originalCanvas.getContext('2d');
-    const imageData = ctx.getImageData(0, 0, loadedImage.width, loadedImage.height);
+    // Moves finished by now, plus the part of the current one
+    let current = 0;
+    while (current < moves.length && ends[current] <= time) current++;
+    const visible = moves.slice(0, current);
+    let pen = moves.length > 0 ? moves[0].from : { x: 0, y: 0 };
+    if (visible.length > 0) pen = visible[visible.length - 1].to;
+    if (current < moves.length && time > 0) {
+        const move = moves[current];
+        const fraction = move.duration > 0 ? (time - (ends[current] - move.duration)) / move.duration : 1;
+        pen = {
+            x: move.from.x + (move.to.x - move.from.x) * fraction,
+            y: move.from.y + (move.to.y - move.from.y) * fraction
+        };
+        visible.push({ ...move, to: pen });
+    }
 
-    // Generate path
-    const pathData = generateHatchSawtoothPath(
-        imageData,
-        loadedImage.width,
-        loadedImage.height,
-        cellSize,
-        maxAmplitude,
-        outputWidth
-    );
+    // Already drawn before the resume point
+    if (drawnMoves.length > 0) {
+        ctx.beginPath();
+        drawnMoves.forEach(move => {
+            const from = toCanvas(move.from);
+            const to = toCanvas(move.to);
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+        });
+        ctx.strokeStyle = RESUME_DRAWN_COLOR;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+    }
 
-    // Generate and display SVG
-    const svg = generateSVG(pathData);
-    svgContainer.innerHTML = svg;
-    svgSection.style.display = 'block';
+    [[true, '#000', []], [false, '#3498db', [4, 4]]].forEach(([penDown, color, dash]) => {
+        ctx.beginPath();
+        visible.forEach(move => {
+            if (move.penDown !== penDown) return;
+            const from = toCanvas(move.from);
+            const to = toCanvas(move.to);
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+        });
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash(dash);
+        ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    const penDown = current < moves.length ? moves[current].penDown : false;
+    const marker = toCanvas(pen);
+    ctx.beginPath();
+    ctx.arc(marker.x, marker.y, 4, 0, 2 * Math.PI);
+    ctx.fillStyle = penDown ? '#e74c3c' : '#27ae60';
+    ctx.fill();
+
+    const line = visible.length > 0 ? visible[visible.length - 1].line : 0;
+    simStatus.textContent = `Line ${line}, ${formatDuration(time)} / ${formatDuration(totalTime)}`;
+}
+
+/**
+ * Start or pause playback
+ */
+function toggleSimulation() {
+    if (!simulation) return;
+    if (simulation.playing) {
+        pauseSimulation();
+        return;
+    }
+    if (simulation.time >= simulation.totalTime) simulation.time = 0;
+    simulation.playing = true;
+    simulation.lastFrame = null;
+    simPlayBtn.textContent = 'Pause';
+    requestAnimationFrame(stepSimulation);
+}
+
+function pauseSimulation() {
+    if (simulation) simulation.playing = false;
+    simPlayBtn.textContent = 'Play';
+}
+
+/**
+ * Animation frame: advance by the elapsed time times the speed factor
+ */
+function stepSimulation(timestamp) {
+    if (!simulation || !simulation.playing) return;
+    if (simulation.lastFrame !== null) {
+        const speed = parseFloat(simSpeedSelect.value) || 1;
+        simulation.time = Math.min(simulation.totalTime, simulation.time + (timestamp - simulation.lastFrame) / 1000 * speed);
+    }
+    simulation.lastFrame = timestamp;
+    simScrub.value = simulation.totalTime > 0 ? Math.round(simulation.time / simulation.totalTime * simScrub.max) : 0;
+    renderSimulation();
+
+    if (simulation.time >= simulation.totalTime) {
+        pauseSimulation();
+        return;
+    }
+    requestAnimationFrame(stepSimulation);
+}
+
+/**
+ * Jump to the scrub bar position
+ */
+function scrubSimulation() {
+    if (!simulation) return;
+    simulation.time = simulation.totalTime * simScrub.value / simScrub.max;
+    renderSimulation();
+}
+
+/**
+ * Lint options from the machine settings: the profile's pen commands and the bed
+ */
+function getLintOptions() {
+    const profile = getSelectedProfile();
+    return {
+        penDown: profile.penDown,
+        penUp: profile.penUp,
+        bed: getWorkArea(originCornerSelect.value)
+    };
+}
+
+/**
+ * List lint warnings in a container, or say that none were found
+ */
+function renderLintResults(container, warnings) {
+    container.innerHTML = '';
+    container.classList.toggle('lint-ok', warnings.length === 0);
+    if (warnings.length === 0) {
+        container.textContent = 'No problems found.';
+        return;
+    }
+
+    const list = document.createElement('ul');
+    warnings.forEach(warning => {
+        const item = document.createElement('li');
+        item.textContent = warning.line > 0 ? `Line ${warning.line}: ${warning.message}` : warning.message;
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+}
+
+/**
+ * Lint pasted G-code and replay it in the simulator
+ */
+function checkPastedGCode() {
+    const gcode = checkInput.value;
+    if (!gcode.trim()) {
+        checkResults.innerHTML = '';
+        return;
+    }
+    renderLintResults(checkResults, validateGCode(gcode, getLintOptions()));
+    loadSimulation(gcode);
+}
+
+/**
+ * Load a G-code file into the check box and lint it
+ */
+function handleCheckFileUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        checkInput.value = e.target.result;
+        checkPastedGCode();
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Connect to a GRBL controller over Web Serial, or disconnect
+ */
+async function toggleSerialConnection() {
+    if (serialConnection) {
+        if (sendingGCode) grblSender.abort();
+        const connection = serialConnection;
+        serialConnection = null;
+        grblSender = null;
+        updateSenderControls();
+        await connection.close().catch(() => {});
+        logSerial('Disconnected.');
+        return;
+    }
+
+    if (!('serial' in navigator)) {
+        showError('Web Serial is not available in this browser. Use Chrome or Edge to send to the plotter.');
+        return;
+    }
+    const baudRate = parseInt(baudRateSelect.value) || 115200;
+    try {
+        serialConnection = await openSerialTransport(baudRate, line => {
+            if (grblSender) grblSender.receive(line);
+        }, handleSerialClosed);
+    } catch (error) {
+        // Also reached when the port chooser is dismissed
+        logSerial(`Could not connect: ${error.message}`);
+        return;
+    }
+    grblSender = createGrblSender(serialConnection, { onProgress: showSendProgress, onMessage: logSerial });
+    logSerial(`Connected at ${baudRate} baud.`);
+    updateSenderControls();
+}
+
+/**
+ * The port stopped answering, e.g. the cable was unplugged: end any running job
+ * and release the port
+ */
+function handleSerialClosed() {
+    const connection = serialConnection;
+    if (!connection) return;
+    serialConnection = null;
+    if (grblSender) grblSender.disconnect();
+    grblSender = null;
+    updateSenderControls();
+    if (!sendingGCode) logSerial('Connection lost.');
+    connection.close().catch(() => {});
+}
+
+/**
+ * Stream the generated G-code to the connected controller
+ */
+async function sendGCodeToPlotter() {
+    if (!grblSender || !currentGCode || sendingGCode) return;
+
+    sendingGCode = true;
+    updateSenderControls();
+    let result;
+    try {
+        result = await grblSender.start(currentGCode);
+    } catch (error) {
+        sendStatus.textContent = error.message;
+        return;
+    } finally {
+        sendingGCode = false;
+        updateSenderControls();
+    }
+
+    const messages = {
+        done: `Finished: ${result.total} lines sent.`,
+        error: result.errors.length > 0
+            ? `Stopped at line ${result.errors[0].line}: ${result.errors[0].message}`
+            : 'Stopped on an error.',
+        alarm: `Alarm: ${result.alarm ? result.alarm.message : ''}`,
+        aborted: `Aborted after ${result.acknowledged} of ${result.total} lines (soft reset).`,
+        disconnected: 'Connection lost.'
+    };
+    sendStatus.textContent = messages[result.status];
+    logSerial(messages[result.status]);
+}
+
+/**
+ * Feed hold or resume the running job
+ */
+function togglePauseSending() {
+    if (!grblSender || !sendingGCode) return;
+    if (grblSender.getStatus().state === 'paused') {
+        grblSender.resume();
+    } else {
+        grblSender.pause();
+    }
+    updateSenderControls();
+}
+
+/**
+ * Stop the running job with a soft reset
+ */
+function abortSending() {
+    if (grblSender && sendingGCode) grblSender.abort();
+}
+
+/**
+ * Send a few commands outside of a job, e.g. from the jog panel
+ */
+async function sendMachineCommands(gcode) {
+    if (!grblSender || sendingGCode) return;
+    logSerial(`> ${gcode.split('\n').join(' | ')}`);
+    try {
+        const result = await grblSender.start(gcode);
+        if (result.status !== 'done') {
+            logSerial(result.errors.length > 0 ? result.errors[0].message : `Command ${result.status}.`);
+        }
+    } catch (error) {
+        // The previous command is still running, e.g. homing
+        logSerial(error.message);
+    }
+}
+
+/**
+ * Jog by the selected step in the given X/Y direction (-1, 0 or 1)
+ */
+function jog(directionX, directionY) {
+    const step = parseFloat(jogStepSelect.value) || 1;
+    const feedRate = parseFloat(travelFeedRateInput.value) || parseFloat(drawFeedRateInput.value) || 1000;
+    sendMachineCommands(grblJogCommand(directionX * step, directionY * step, feedRate));
+}
+
+/**
+ * Send the current profile's pen up or pen down command ('penUp' or 'penDown')
+ */
+function testPen(command) {
+    const profile = getSelectedProfile();
+    sendMachineCommands(penCommandLines(profile[command], profile).join('\n'));
+}
+
+/**
+ * Trace the drawing's bounding box with the pen up
+ */
+function drawBoundingBox() {
+    if (!currentPathData || currentPathData.path.length === 0) return;
+    const travelFeedRate = parseFloat(travelFeedRateInput.value) || 0;
+    sendMachineCommands(generateBoundingBoxGCode(currentPathData, getSelectedProfile(), travelFeedRate));
+}
+
+/**
+ * Show how many lines the controller has acknowledged
+ */
+function showSendProgress(acknowledged, total) {
+    // Jog and calibration commands run as small jobs of their own
+    if (!sendingGCode) return;
+    sendProgress.value = total > 0 ? acknowledged / total : 0;
+    sendStatus.textContent = `${acknowledged} / ${total} lines`;
+}
+
+/**
+ * Enable the sender buttons that apply to the connection and job state
+ */
+function updateSenderControls() {
+    const paused = sendingGCode && grblSender && grblSender.getStatus().state === 'paused';
+    connectBtn.textContent = serialConnection ? 'Disconnect' : 'Connect';
+    baudRateSelect.disabled = Boolean(serialConnection);
+    sendBtn.disabled = !grblSender || !currentGCode || sendingGCode;
+    pauseBtn.disabled = !sendingGCode;
+    pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+    abortBtn.disabled = !sendingGCode;
+
+    const machineIdle = Boolean(grblSender) && !sendingGCode;
+    [...jogButtons, homeBtn, setOriginBtn, penUpTestBtn, penDownTestBtn]
+        .forEach(button => { button.disabled = !machineIdle; });
+    boundingBoxBtn.disabled = !machineIdle || !currentPathData || currentPathData.path.length === 0;
+}
+
+/**
+ * Append a line to the serial console, keeping the most recent lines
+ */
+function logSerial(text) {
+    const lines = (serialLog.textContent + text + '\n').split('\n');
+    serialLog.textContent = lines.slice(-SERIAL_LOG_LINES - 1).join('\n');
+    serialLog.scrollTop = serialLog.scrollHeight;
+}
+
+/**
+ * Replace the output with G-code that continues the generated program from the
+ * chosen line or percentage, highlighting what was already drawn
+ */
+function applyResume() {
+    if (!generatedGCode) return;
+    const value = parseFloat(resumeFromInput.value);
+    if (isNaN(value)) {
+        showError('Enter the line number or percentage to resume from.');
+        return;
+    }
+
+    const profile = getSelectedProfile();
+    let result;
+    try {
+        const line = resumeUnitSelect.value === 'percent'
+            ? resumeLineAtPercent(generatedGCode, value)
+            : Math.round(value);
+        result = resumeGCode(generatedGCode, line, {
+            penDown: profile.penDown,
+            penUp: profile.penUp,
+            penDwell: penCommandLines('', profile).join('\n'),
+            travelFeedRate: parseFloat(travelFeedRateInput.value) || 0,
+            feedRate: parseFloat(drawFeedRateInput.value) || 1000
+        });
+    } catch (error) {
+        showError(error.message);
+        return;
+    }
+    hideError();
 
-    // Generate and display G-Code
-    currentGCode = generateGCodeFromPath(pathData);
+    currentGCode = result.gcode;
     gcodeOutput.value = currentGCode;
-    gcodeSection.style.display = 'block';
+    resumeInfo.textContent =
+        `Resuming at line ${result.line} from X${result.position.x.toFixed(3)} Y${result.position.y.toFixed(3)} ` +
+        `with the pen ${result.penDown ? 'down' : 'up'}; ${result.drawnMoves.length} drawing moves were already done.`;
+    resumeClearBtn.disabled = false;
+    renderLintResults(gcodeLint, validateGCode(currentGCode, getLintOptions()));
+    loadSimulation(currentGCode, result.drawnMoves);
+    highlightDrawnMoves(result.drawnMoves);
+    updateSenderControls();
+}
 
-    // Scroll to SVG section
-    svgSection.scrollIntoView({ behavior: 'smooth' });
+/**
+ * Go back to the full generated program
+ */
+function clearResume() {
+    if (!generatedGCode) return;
+    currentGCode = generatedGCode;
+    gcodeOutput.value = currentGCode;
+    resumeInfo.textContent = '';
+    resumeClearBtn.disabled = true;
+    renderLintResults(gcodeLint, validateGCode(currentGCode, getLintOptions()));
+    loadSimulation(currentGCode);
+    highlightDrawnMoves([]);
+}
+
+/**
+ * Overlay the moves drawn before the resume point on the SVG preview
+ */
+function highlightDrawnMoves(moves) {
+    svgContainer.querySelectorAll('.resume-drawn').forEach(element => element.remove());
+    const group = svgContainer.querySelector('svg > g');
+    if (!group || moves.length === 0) return;
+
+    let d = '';
+    let last = null;
+    moves.forEach(move => {
+        if (!last || last.x !== move.from.x || last.y !== move.from.y) {
+            d += ` M ${move.from.x.toFixed(3)} ${move.from.y.toFixed(3)}`;
+        }
+        d += ` L ${move.to.x.toFixed(3)} ${move.to.y.toFixed(3)}`;
+        last = move.to;
+    });
+    const overlay = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    overlay.setAttribute('class', 'resume-drawn');
+    overlay.setAttribute('d', d.trim());
+    overlay.setAttribute('fill', 'none');
+    overlay.setAttribute('stroke', RESUME_DRAWN_COLOR);
+    overlay.setAttribute('stroke-width', '0.6');
+    group.appendChild(overlay);
 }
 
 /**
@@ -297,12 +1521,288 @@ function generateGCode() {
  */
 function downloadGCode() {
     if (!currentGCode) return;
+    const tile = currentTiles ? currentTiles.tiles[parseInt(tileSelect.value) || 0] : null;
+    saveTextFile(currentGCode, tile ? tileFileName(tile, currentBaseName) : `${currentBaseName}.gcode`);
+}
+
+/**
+ * Download the G-code of every poster tile together as a ZIP file, written in the
+ * generator worker
+ */
+function downloadTiles() {
+    if (!currentTiles) return;
+    const { tiles, generation } = currentTiles;
+    const message = { tiles, generation, baseName: generation.baseName };
+
+    downloadTilesBtn.disabled = true;
+    runGeneratorTask(message, () => buildTileFiles(tiles, generation, generation.baseName))
+        .then(files => {
+            const zip = createZip(files.map(({ name, content }) => ({ name, content })));
+            saveBlob(new Blob([zip], { type: 'application/zip' }), `${generation.baseName}-tiles.zip`);
+        })
+        .catch(error => showError(error.message))
+        .finally(() => { downloadTilesBtn.disabled = false; });
+}
+
+/**
+ * Base names for the G-code of the given source files: the file name without its
+ * extension, with runs of anything but letters, digits, _ and - replaced by a dash
+ * and a number added to repeated names
+ */
+function outputBaseNames(sourceNames) {
+    const used = new Set();
+    return sourceNames.map(sourceName => {
+        const stem = sourceName.replace(/\.[^.]*$/, '').replace(/[^\p{L}\p{N}_-]+/gu, '-').replace(/^-+|-+$/g, '') || 'drawing';
+        let name = stem;
+        for (let i = 2; used.has(name.toLowerCase()); i++) {
+            name = `${stem}-${i}`;
+        }
+        used.add(name.toLowerCase());
+        return name;
+    });
+}
+
+/**
+ * List the images of a batch, or hide the batch section for an empty list
+ */
+function setBatchFiles(files) {
+    batchList.querySelectorAll('.batch-thumbnail').forEach(img => URL.revokeObjectURL(img.src));
+    batchList.innerHTML = '';
+    const baseNames = outputBaseNames(files.map(file => file.name));
+    batchItems = files.map((file, index) => ({ file, baseName: baseNames[index], files: null, error: null }));
 
-    const blob = new Blob([currentGCode], { type: 'text/plain' });
+    batchItems.forEach((item, index) => {
+        const entry = document.createElement('li');
+        entry.className = 'batch-item';
+        entry.innerHTML = `
+            <div class="batch-images">
+                <img class="batch-thumbnail" alt="">
+                <div class="batch-preview"></div>
+            </div>
+            <span class="batch-name"></span>
+            <span class="batch-stats">Not processed yet</span>
+            <button class="sender-btn batch-show-btn">Show</button>`;
+        entry.querySelector('.batch-thumbnail').src = URL.createObjectURL(item.file);
+        entry.querySelector('.batch-name').textContent = item.file.name;
+        entry.querySelector('.batch-show-btn').addEventListener('click', () => showBatchItem(index));
+        item.element = entry;
+        batchList.appendChild(entry);
+    });
+
+    batchStatus.textContent = `${batchItems.length} images`;
+    batchDownloadBtn.disabled = true;
+    batchSection.style.display = batchItems.length > 0 ? 'block' : 'none';
+}
+
+/**
+ * Generate the G-code of every batch image with the current settings, one image
+ * after another in the generator worker, filling in each one's preview and stats.
+ * The images are decoded on their own, so the loaded image stays as it is.
+ */
+async function processBatch() {
+    if (batchItems.length === 0 || batchRunning) return;
+    batchRunning = true;
+    batchCancelled = false;
+    batchGenerateBtn.disabled = true;
+    batchCancelBtn.disabled = false;
+    batchDownloadBtn.disabled = true;
+    const settings = readGenerationSettings();
+    const { outputWidth, printableWidth, printableHeight, fitMode } = settings.area;
+    // The ZIP only holds files made with these settings
+    batchItems.forEach(item => { item.files = null; });
+
+    let processed = 0;
+    for (const [index, item] of batchItems.entries()) {
+        if (batchCancelled) break;
+        batchStatus.textContent = `Processing ${index + 1} of ${batchItems.length}: ${item.file.name}`;
+        try {
+            const { image, svg } = await decodeImageFile(item.file);
+            if (batchCancelled) break;
+            const message = { generation: settings, baseName: item.baseName };
+            if (svg) {
+                message.imagePathData = buildSvgPathData(outputWidth, printableWidth, printableHeight, fitMode, svg);
+                message.generation = svgGeneration(settings);
+            } else {
+                const canvas = document.createElement('canvas');
+                canvas.width = image.width;
+                canvas.height = image.height;
+                canvas.getContext('2d').drawImage(image, 0, 0);
+                message.job = buildImageJob(outputWidth, printableWidth, printableHeight, fitMode, canvas);
+            }
+            const output = await buildBatchOutputInWorker(message);
+            item.error = null;
+            renderBatchItem(item, output);
+            // Only the G-code is kept for the download
+            item.files = output.files.map(({ name, content }) => ({ name, content }));
+        } catch (error) {
+            // The image being processed when the batch was cancelled keeps its last result
+            if (batchCancelled) break;
+            item.error = error.message;
+            renderBatchItem(item, null);
+        }
+        processed++;
+    }
+
+    const failed = batchItems.slice(0, processed).filter(item => item.error).length;
+    batchStatus.textContent = (batchCancelled
+        ? `Cancelled after ${processed} of ${batchItems.length} images`
+        : `Processed ${batchItems.length} images`) + (failed ? `, ${failed} failed` : '');
+    batchRunning = false;
+    batchGenerateBtn.disabled = false;
+    batchCancelBtn.disabled = true;
+    batchDownloadBtn.disabled = !batchItems.some(item => item.files);
+}
+
+/**
+ * Stop the batch, dropping the image that is being processed
+ */
+function cancelBatch() {
+    if (!batchRunning) return;
+    batchCancelled = true;
+    if (stopBatchWorker) stopBatchWorker();
+}
+
+/**
+ * Build a batch image's files with buildBatchOutput in a generator worker of its
+ * own (see runGeneratorTask). message is { job or imagePathData, generation, baseName }.
+ * Returns a promise of the output, rejected when cancelBatch stops the worker.
+ */
+function buildBatchOutputInWorker(message) {
+    const runHere = () => {
+        const imagePathData = message.job ? generateImagePathData(message.job) : message.imagePathData;
+        return buildBatchOutput(imagePathData, message.generation, message.baseName);
+    };
+    return runGeneratorTask(message, runHere, stop => { stopBatchWorker = stop; });
+}
+
+/**
+ * Run one message through a generator worker of its own, or runHere on the page
+ * where workers are unavailable. A job's pixels are transferred. setStop, when given,
+ * receives a function that terminates the worker and rejects the promise, and null
+ * once the worker is done. Returns a promise of the worker's output.
+ */
+function runGeneratorTask(message, runHere, setStop = null) {
+    if (typeof Worker === 'undefined') return Promise.resolve().then(runHere);
+    let worker;
+    try {
+        worker = new Worker('generator-worker.js');
+    } catch (error) {
+        return Promise.resolve().then(runHere);
+    }
+
+    return new Promise((resolve, reject) => {
+        const stop = () => {
+            worker.terminate();
+            if (setStop) setStop(null);
+        };
+        if (setStop) {
+            setStop(() => {
+                stop();
+                reject(new Error('Cancelled.'));
+            });
+        }
+        worker.onmessage = event => {
+            const reply = event.data;
+            if (reply.type === 'progress') return;
+            stop();
+            if (reply.type === 'error') {
+                reject(new Error(reply.message));
+            } else {
+                resolve(reply.output);
+            }
+        };
+        worker.onerror = event => {
+            event.preventDefault();
+            stop();
+            reject(new Error(`Generation failed: ${event.message}`));
+        };
+        worker.postMessage(message, message.job ? [message.job.imageData.data.buffer] : []);
+    });
+}
+
+/**
+ * Show the preview and stats of a batch image from buildBatchOutput, or its error
+ */
+function renderBatchItem(item, output) {
+    const preview = item.element.querySelector('.batch-preview');
+    const statsText = item.element.querySelector('.batch-stats');
+    item.element.classList.toggle('batch-error', Boolean(item.error));
+    if (item.error) {
+        preview.innerHTML = '';
+        statsText.textContent = item.error;
+        return;
+    }
+
+    preview.innerHTML = output.preview;
+    const totals = { drawnLength: 0, penLifts: 0, duration: 0 };
+    output.files.forEach(({ stats }) => {
+        totals.drawnLength += stats.drawnLength;
+        totals.penLifts += stats.penLifts;
+        totals.duration += stats.duration;
+    });
+    const parts = [
+        `${(totals.drawnLength / 1000).toFixed(2)} m drawn`,
+        `${totals.penLifts} pen lifts`,
+        formatDuration(totals.duration)
+    ];
+    if (output.files.length > 1) parts.push(`${output.files.length} tiles`);
+    statsText.textContent = parts.join(' · ');
+}
+
+/**
+ * Load a batch image into the preview and generate it there, for the simulator and plotter
+ */
+function showBatchItem(index) {
+    if (batchRunning) return;
+    const { file } = batchItems[index];
+    loadImageFile(file)
+        .then(() => {
+            fileName.textContent = file.name;
+            generateGCode();
+        })
+        .catch(error => showError(error.message));
+}
+
+/**
+ * Download the G-code of all processed batch images as a ZIP file, named after their sources
+ */
+function downloadBatch() {
+    const files = batchItems.filter(item => item.files).flatMap(item => item.files);
+    if (files.length === 0) return;
+    saveBlob(new Blob([createZip(files)], { type: 'application/zip' }), 'drawings.zip');
+}
+
+/**
+ * Download the G-code for one pen layer
+ */
+function downloadLayerGCode(index) {
+    if (!currentPathData || !currentGCodeOptions) return;
+
+    const layerData = splitPenLayers(currentPathData)[index];
+    try {
+        const gcode = generateGCodeFromPath(layerData, currentGCodeOptions);
+        const name = layerData.layers[0].name.replace(/[^\w-]+/g, '');
+        saveTextFile(gcode, `${currentBaseName}-${index + 1}-${name || 'pen'}.gcode`);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+/**
+ * Save text through a temporary download link
+ */
+function saveTextFile(text, filename) {
+    saveBlob(new Blob([text], { type: 'text/plain' }), filename);
+}
+
+/**
+ * Save a blob through a temporary download link
+ */
+function saveBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'drawing.gcode';
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -312,10 +1812,7 @@ function downloadGCode() {
 // Export functions for testing
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
-        getGrayscale,
-        getCellDarkness,
-        generateHatchSawtoothPath,
-        generateSVG,
-        generateGCodeFromPath
+        PAPER_SIZES,
+        outputBaseNames
     };
 }
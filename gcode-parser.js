@@ -0,0 +1,328 @@
+/**
+ * G-Code Parser
+ * Tokenizes G-code, replays it as moves and lints it for common plotter mistakes
+ */
+
+// G and M codes the interpreter understands or knowingly passes through
+const KNOWN_G_CODES = [0, 1, 2, 3, 4, 17, 18, 19, 20, 21, 28, 53, 54, 55, 56, 57, 58, 59, 90, 91, 92, 94];
+const KNOWN_M_CODES = [0, 1, 2, 3, 4, 5, 6, 17, 18, 30, 84, 280, 300];
+const KNOWN_WORDS = 'GMXYZIJRFPSTN';
+
+// Lint messages repeated more often than this are summarized
+const MAX_REPEATED_WARNINGS = 10;
+
+/**
+ * Tokenize one line of G-code.
+ * Returns { code, comment, gCodes, mCodes, words, unknownWords } where code is the
+ * upper-case command text without comments, words maps the other letters to
+ * numbers (the last one wins) and unknownWords lists letters outside KNOWN_WORDS.
+ */
+function parseGCodeLine(rawLine) {
+    const comments = [];
+    const code = rawLine
+        .replace(/\((.*?)\)|;(.*)$/g, (match, inline, trailing) => {
+            comments.push((inline !== undefined ? inline : trailing).trim());
+            return ' ';
+        })
+        .trim()
+        .toUpperCase()
+        .replace(/\s+/g, ' ');
+
+    const command = { code, comment: comments.join(' '), gCodes: [], mCodes: [], words: {}, unknownWords: [] };
+    for (const [, letter, value] of code.matchAll(/([A-Z])\s*([-+]?(?:\d+\.?\d*|\.\d+))/g)) {
+        const number = parseFloat(value);
+        if (letter === 'G') command.gCodes.push(number);
+        else if (letter === 'M') command.mCodes.push(number);
+        else command.words[letter] = number;
+        if (!KNOWN_WORDS.includes(letter)) command.unknownWords.push(letter);
+    }
+    return command;
+}
+
+/**
+ * Tokenize a G-code program into commands, skipping blank and comment-only lines.
+ * Each command is a parseGCodeLine result with its 1-based line number.
+ */
+function parseGCode(gcode) {
+    return gcode.split('\n')
+        .map((rawLine, index) => ({ ...parseGCodeLine(rawLine), line: index + 1 }))
+        .filter(command => command.code !== '');
+}
+
+/**
+ * Replay G-code as straight moves and collect lint warnings on the way.
+ * Understands G0/G1/G2/G3 (arcs by I/J or R, flattened to short chords),
+ * G20/G21 units, G90/G91 positioning and F feeds. The pen is down after M3 or a
+ * move to Z <= 0 and up after M5 or a move to Z > 0; lines equal to the penDown or
+ * penUp commands (e.g. a profile's servo commands) take precedence.
+ *
+ * Options: penDown, penUp (command text, may hold several lines), feedRate (mm/min for
+ * moves before any F word), rapidRate (mm/min for G0), bed ({ minX, minY, maxX, maxY }
+ * in mm; moves outside it are reported)
+ * Returns { moves: [{ from, to, penDown, rapid, line, duration }], bounds, totalTime, warnings,
+ * finalState } with durations in seconds, warnings as [{ line, message }] and finalState the
+ * machine state after the last line ({ x, y, pen, feed, feedSet, absolute, unitScale }).
+ */
+function interpretGCode(gcode, options = {}) {
+    const { penDown = '', penUp = '', feedRate = 1000, rapidRate = 3000, bed = null } = options;
+    const commandSet = text => new Set(text.split('\n').map(line => parseGCodeLine(line).code).filter(code => code !== ''));
+    const downLines = commandSet(penDown);
+    const upLines = commandSet(penUp);
+
+    const state = {
+        x: 0, y: 0, z: 0,
+        absolute: true, positioningSet: false, unitScale: 1,
+        pen: false, feed: feedRate, feedSet: false, motion: 0
+    };
+    const moves = [];
+    const bounds = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+    const warnings = [];
+    const warn = (line, message) => warnings.push({ line, message });
+
+    const addMove = (to, line, rapid) => {
+        const from = { x: state.x, y: state.y };
+        const speed = (rapid ? rapidRate : state.feed) / 60;
+        const duration = speed > 0 ? Math.hypot(to.x - from.x, to.y - from.y) / speed : 0;
+        moves.push({ from, to, penDown: state.pen, rapid, line, duration });
+        state.x = to.x;
+        state.y = to.y;
+        bounds.minX = Math.min(bounds.minX, to.x);
+        bounds.minY = Math.min(bounds.minY, to.y);
+        bounds.maxX = Math.max(bounds.maxX, to.x);
+        bounds.maxY = Math.max(bounds.maxY, to.y);
+    };
+
+    for (const command of parseGCode(gcode)) {
+        const { code, gCodes, mCodes, words, line } = command;
+        const penCommand = downLines.has(code) || upLines.has(code);
+
+        if (!penCommand) {
+            gCodes.filter(value => !KNOWN_G_CODES.includes(value))
+                .forEach(value => warn(line, `Unknown command G${value}`));
+            mCodes.filter(value => !KNOWN_M_CODES.includes(value))
+                .forEach(value => warn(line, `Unknown command M${value}`));
+            command.unknownWords.forEach(letter => warn(line, `Unknown word ${letter} in "${code}"`));
+        }
+
+        for (const value of gCodes) {
+            if (value >= 0 && value <= 3) state.motion = value;
+            else if (value === 20) state.unitScale = 25.4;
+            else if (value === 21) state.unitScale = 1;
+            else if (value === 90 || value === 91) {
+                state.absolute = value === 90;
+                state.positioningSet = true;
+            }
+        }
+        if (mCodes.includes(3)) state.pen = true;
+        if (mCodes.includes(5)) state.pen = false;
+        if (words.F !== undefined) {
+            state.feed = words.F * state.unitScale;
+            state.feedSet = true;
+        }
+
+        // A G4 P word is a dwell time, G28/G92 words are not plain moves
+        const moving = !gCodes.some(value => value === 4 || value === 28 || value === 92) && mCodes.length === 0;
+        if (moving && words.Z !== undefined) {
+            state.z = state.absolute ? words.Z * state.unitScale : state.z + words.Z * state.unitScale;
+            state.pen = state.z <= 0;
+        }
+        if (downLines.has(code)) state.pen = true;
+        if (upLines.has(code)) state.pen = false;
+
+        if (!moving || (words.X === undefined && words.Y === undefined)) continue;
+
+        if (!state.positioningSet) {
+            warn(line, 'Move before any G90/G91; the controller\'s current positioning mode is assumed absolute');
+            state.positioningSet = true;
+        }
+        const drawing = state.motion !== 0;
+        if (drawing && !state.feedSet) {
+            warn(line, `G${state.motion} move before any feed rate (F word)`);
+            state.feedSet = true;
+        }
+        if (drawing && !state.pen) {
+            warn(line, `G${state.motion} move with the pen up; use G0 for travel`);
+        }
+
+        const axis = (letter, current) => {
+            if (words[letter] === undefined) return current;
+            const value = words[letter] * state.unitScale;
+            return state.absolute ? value : current + value;
+        };
+        const target = { x: axis('X', state.x), y: axis('Y', state.y) };
+        const points = state.motion === 2 || state.motion === 3
+            ? arcChords(state, target, words, state.motion === 2)
+            : [target];
+
+        const outside = bed && points.find(p =>
+            p.x < bed.minX - 1e-6 || p.x > bed.maxX + 1e-6 || p.y < bed.minY - 1e-6 || p.y > bed.maxY + 1e-6
+        );
+        if (outside) {
+            warn(line,
+                `Move to X${outside.x.toFixed(3)} Y${outside.y.toFixed(3)} is outside the bed ` +
+                `X${bed.minX}..${bed.maxX} Y${bed.minY}..${bed.maxY}` +
+                (state.absolute ? '' : ' (relative positioning is active)'));
+        }
+        points.forEach(point => addMove(point, line, state.motion === 0));
+    }
+
+    if (!state.absolute) {
+        warn(moves.length > 0 ? moves[moves.length - 1].line : 0,
+            'Program ends in relative positioning (G91); the next job may start with relative moves');
+    }
+
+    const totalTime = moves.reduce((total, move) => total + move.duration, 0);
+    const { x, y, pen, feed, feedSet, absolute, unitScale } = state;
+    const finalState = { x, y, pen, feed, feedSet, absolute, unitScale };
+    return { moves, bounds, totalTime, warnings, finalState };
+}
+
+/**
+ * Points along a G2 (clockwise) or G3 arc from the current position to target,
+ * about 0.5 mm apart, ending exactly at target
+ */
+function arcChords(state, target, words, clockwise) {
+    const start = { x: state.x, y: state.y };
+    let cx, cy;
+    if (words.I !== undefined || words.J !== undefined) {
+        cx = start.x + (words.I || 0) * state.unitScale;
+        cy = start.y + (words.J || 0) * state.unitScale;
+    } else if (words.R !== undefined) {
+        // Center on the perpendicular bisector; a negative R picks the long way round
+        const r = words.R * state.unitScale;
+        const dx = target.x - start.x, dy = target.y - start.y;
+        const chord = Math.hypot(dx, dy);
+        const offset = Math.sqrt(Math.max(0, r * r - chord * chord / 4)) * (clockwise === r > 0 ? -1 : 1);
+        cx = start.x + dx / 2 - offset * dy / chord;
+        cy = start.y + dy / 2 + offset * dx / chord;
+    } else {
+        return [target];
+    }
+
+    const radius = Math.hypot(start.x - cx, start.y - cy);
+    const startAngle = Math.atan2(start.y - cy, start.x - cx);
+    let sweep = Math.atan2(target.y - cy, target.x - cx) - startAngle;
+    if (clockwise && sweep >= 0) sweep -= 2 * Math.PI;
+    if (!clockwise && sweep <= 0) sweep += 2 * Math.PI;
+
+    const steps = Math.max(4, Math.ceil(Math.abs(sweep) * radius / 0.5));
+    const points = [];
+    for (let k = 1; k < steps; k++) {
+        const angle = startAngle + sweep * k / steps;
+        points.push({ x: cx + radius * Math.cos(angle), y: cy + radius * Math.sin(angle) });
+    }
+    points.push(target);
+    return points;
+}
+
+/**
+ * Replay G-code text as straight moves for the simulator (see interpretGCode)
+ */
+function simulateGCode(gcode, options = {}) {
+    const { moves, bounds, totalTime } = interpretGCode(gcode, options);
+    return { moves, bounds, totalTime };
+}
+
+/**
+ * Lint G-code text (see interpretGCode for the options).
+ * Returns [{ line, message }]; a message repeated more than MAX_REPEATED_WARNINGS
+ * times is cut short with a count of the remaining occurrences.
+ */
+function validateGCode(gcode, options = {}) {
+    const { warnings } = interpretGCode(gcode, options);
+
+    // Group by message without its coordinates, so repeated problems collapse
+    const kindOf = message => message.replace(/-?\d+(\.\d+)?/g, '#');
+    const counts = new Map();
+    const result = [];
+    for (const warning of warnings) {
+        const kind = kindOf(warning.message);
+        const count = (counts.get(kind) || 0) + 1;
+        counts.set(kind, count);
+        if (count <= MAX_REPEATED_WARNINGS) result.push(warning);
+    }
+    for (const [kind, count] of counts) {
+        if (count > MAX_REPEATED_WARNINGS) {
+            const example = warnings.find(warning => kindOf(warning.message) === kind);
+            result.push({
+                line: example.line,
+                message: `${count - MAX_REPEATED_WARNINGS} more like: ${example.message}`
+            });
+        }
+    }
+    return result;
+}
+
+/**
+ * Line number to resume at after percent of the program's commands were sent
+ * (blank and comment-only lines do not count, as for the serial sender)
+ */
+function resumeLineAtPercent(gcode, percent) {
+    const commands = parseGCode(gcode);
+    if (commands.length === 0) throw new Error('The program has no commands to resume.');
+    const index = Math.floor(commands.length * Math.max(0, Math.min(100, percent)) / 100);
+    return commands[Math.min(index, commands.length - 1)].line;
+}
+
+/**
+ * Continue a program from resumeLine (1-based) after it was interrupted.
+ * The lines before it are replayed to find the machine state there; a preamble sets
+ * millimeters and absolute positioning, lifts the pen, travels to the position, lowers
+ * the pen again if it was down and restores units, positioning and feed, so the rest
+ * of the program picks up where it stopped.
+ *
+ * Options: penDown, penUp (the profile's commands, see interpretGCode), penDwell (lines
+ * to wait for the pen after it moves), travelFeedRate (mm/min for the travel, 0 = none),
+ * plus the interpretGCode options
+ * Returns { gcode, line, position, penDown, drawnMoves } where drawnMoves are the pen-down
+ * moves of the lines before the resume point.
+ */
+function resumeGCode(gcode, resumeLine, options = {}) {
+    const { penDown = '', penUp = '', penDwell = '', travelFeedRate = 0 } = options;
+    const lines = gcode.split('\n');
+    if (!Number.isInteger(resumeLine) || resumeLine < 1 || resumeLine > lines.length) {
+        throw new Error(`Resume line must be between 1 and ${lines.length}.`);
+    }
+
+    const { moves, finalState } = interpretGCode(lines.slice(0, resumeLine - 1).join('\n'), options);
+    const commandLines = text => text.split('\n').filter(line => line.trim() !== '');
+    const dwellLines = commandLines(penDwell);
+    const format = value => value.toFixed(3).replace(/^-0\.000$/, '0.000');
+    const travelFeed = travelFeedRate ? ` F${travelFeedRate}` : '';
+
+    const preamble = [
+        `; Resumed from line ${resumeLine}`,
+        'G21 ; Set units to millimeters',
+        'G90 ; Absolute positioning',
+        ...commandLines(penUp), ...dwellLines,
+        `G0 X${format(finalState.x)} Y${format(finalState.y)}${travelFeed}`
+    ];
+    if (finalState.pen) preamble.push(...commandLines(penDown), ...dwellLines);
+    if (finalState.unitScale !== 1) preamble.push('G20 ; Inches, as before the resume point');
+    if (!finalState.absolute) preamble.push('G91 ; Relative positioning, as before the resume point');
+    if (finalState.feedSet) preamble.push(`G1 F${+(finalState.feed / finalState.unitScale).toFixed(3)}`);
+    preamble.push('; Continue');
+
+    return {
+        gcode: preamble.concat(lines.slice(resumeLine - 1)).join('\n'),
+        line: resumeLine,
+        position: { x: finalState.x, y: finalState.y },
+        penDown: finalState.pen,
+        drawnMoves: moves.filter(move => move.penDown)
+    };
+}
+
+// Export functions for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseGCodeLine,
+        parseGCode,
+        interpretGCode,
+        simulateGCode,
+        validateGCode,
+        resumeLineAtPercent,
+        resumeGCode,
+        KNOWN_G_CODES,
+        KNOWN_M_CODES
+    };
+}
@@ -0,0 +1,981 @@
+/**
+ * G-code Writer
+ * Turns path data into machine coordinates, G-code, an SVG preview and plot stats.
+ * Nothing here touches the page, so the generator worker can run it too.
+ */
+
+const DEFAULT_HEADER = [
+    'G21 ; Set units to millimeters',
+    'G90 ; Absolute positioning',
+    'G17 ; XY plane selection'
+].join('\n');
+
+const DEFAULT_FOOTER = [
+    'G0 X0 Y0 ; Return to origin',
+    'M2 ; End program'
+].join('\n');
+
+const DEFAULT_TOOL_CHANGE = 'M0 ; Load pen: {pen}';
+
+/**
+ * Machine profiles for the supported G-code dialects.
+ * dwell is in seconds; dwellInMs marks firmwares (Marlin) whose G4 P word is milliseconds.
+ */
+const MACHINE_PROFILES = {
+    spindle: {
+        label: 'Spindle-mapped pen (M3/M5)',
+        penDown: 'M3 ; Pen down',
+        penUp: 'M5 ; Pen up',
+        dwell: 0,
+        dwellInMs: false,
+        header: DEFAULT_HEADER,
+        footer: DEFAULT_FOOTER,
+        toolChange: DEFAULT_TOOL_CHANGE
+    },
+    grblServo: {
+        label: 'GRBL servo (M3 S30/M5)',
+        penDown: 'M3 S30 ; Pen down',
+        penUp: 'M5 ; Pen up',
+        dwell: 0.15,
+        dwellInMs: false,
+        header: DEFAULT_HEADER,
+        footer: DEFAULT_FOOTER,
+        toolChange: DEFAULT_TOOL_CHANGE
+    },
+    marlin: {
+        label: 'Marlin servo (M280)',
+        penDown: 'M280 P0 S30 ; Pen down',
+        penUp: 'M280 P0 S90 ; Pen up',
+        dwell: 0.2,
+        dwellInMs: true,
+        header: DEFAULT_HEADER,
+        footer: DEFAULT_FOOTER,
+        toolChange: 'M0 Load pen: {pen}'
+    },
+    axidraw: {
+        label: 'AxiDraw-style (servo on Z)',
+        penDown: 'G1 Z0 F3000 ; Pen down',
+        penUp: 'G1 Z1.5 F3000 ; Pen up',
+        dwell: 0.1,
+        dwellInMs: false,
+        header: DEFAULT_HEADER,
+        footer: DEFAULT_FOOTER,
+        toolChange: DEFAULT_TOOL_CHANGE
+    },
+    zAxis: {
+        label: 'Z-lift pen (G0 Z5/G1 Z0)',
+        penDown: 'G1 Z0 F500 ; Pen down',
+        penUp: 'G0 Z5 ; Pen up',
+        dwell: 0,
+        dwellInMs: false,
+        header: DEFAULT_HEADER,
+        footer: DEFAULT_FOOTER,
+        toolChange: DEFAULT_TOOL_CHANGE
+    },
+    custom: {
+        label: 'Custom',
+        penDown: 'M3 ; Pen down',
+        penUp: 'M5 ; Pen up',
+        dwell: 0,
+        dwellInMs: false,
+        header: DEFAULT_HEADER,
+        footer: DEFAULT_FOOTER,
+        toolChange: DEFAULT_TOOL_CHANGE
+    }
+};
+
+/**
+ * Output transform stage: map image-space path (Y down, origin top-left) to machine coordinates
+ *
+ * rotation: clockwise quarter turns in degrees (0/90/180/270), applied first
+ * origin: drawing point placed at the offset - 'top-left', 'bottom-left' or 'center'
+ * flipY: negate Y for machines whose Y axis points up
+ * offsetX/offsetY: paper position on the bed (mm)
+ */
+function transformPath(pathData, transform = {}) {
+    const { rotation = 0, origin = 'top-left', flipY = false, offsetX = 0, offsetY = 0 } = transform;
+    const { path, outputWidth, outputHeight } = pathData;
+
+    const quarterTurns = ((Math.round(rotation / 90) % 4) + 4) % 4;
+    const width = quarterTurns % 2 === 1 ? outputHeight : outputWidth;
+    const height = quarterTurns % 2 === 1 ? outputWidth : outputHeight;
+    const rotate = [
+        p => ({ x: p.x, y: p.y }),
+        p => ({ x: outputHeight - p.y, y: p.x }),
+        p => ({ x: outputWidth - p.x, y: outputHeight - p.y }),
+        p => ({ x: p.y, y: outputWidth - p.x })
+    ][quarterTurns];
+
+    // Point of the (rotated) drawing that lands on the offset position
+    const refX = origin === 'center' ? width / 2 : 0;
+    const refY = origin === 'center' ? height / 2 : (origin === 'bottom-left' ? height : 0);
+    const ySign = flipY ? -1 : 1;
+
+    const toMachine = p => {
+        const r = rotate(p);
+        return { x: r.x - refX + offsetX, y: (r.y - refY) * ySign + offsetY };
+    };
+
+    const corners = [toMachine({ x: 0, y: 0 }), toMachine({ x: outputWidth, y: outputHeight })];
+    const bounds = {
+        minX: Math.min(corners[0].x, corners[1].x),
+        minY: Math.min(corners[0].y, corners[1].y),
+        maxX: Math.max(corners[0].x, corners[1].x),
+        maxY: Math.max(corners[0].y, corners[1].y)
+    };
+
+    return {
+        ...pathData,
+        path: path.map(p => ({ ...p, ...toMachine(p) })),
+        outputWidth: width,
+        outputHeight: height,
+        yUp: flipY,
+        bounds
+    };
+}
+
+/**
+ * Place a drawing on a sheet of paper, inset by the margin.
+ * The result is sheet-sized, so the output transform positions the whole sheet on the bed.
+ */
+function placeOnSheet(pathData, sheet) {
+    const { width, height, margin = 0 } = sheet;
+
+    return {
+        ...pathData,
+        path: pathData.path.map(p => ({ ...p, x: p.x + margin, y: p.y + margin })),
+        outputWidth: width,
+        outputHeight: height,
+        paper: { width, height, margin }
+    };
+}
+
+/**
+ * Index of the first path point outside the area, or -1 if all points are inside
+ */
+function findPointOutsideArea(path, area) {
+    const epsilon = 1e-6;
+    return path.findIndex(p =>
+        p.x < area.minX - epsilon || p.x > area.maxX + epsilon ||
+        p.y < area.minY - epsilon || p.y > area.maxY + epsilon
+    );
+}
+
+/**
+ * SVG arrow with a label, in screen coordinates
+ */
+function svgAxisMarker(x1, y1, x2, y2, size, color, label) {
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    const head = size * 0.25;
+    const left = { x: x2 - head * Math.cos(angle - 0.4), y: y2 - head * Math.sin(angle - 0.4) };
+    const right = { x: x2 - head * Math.cos(angle + 0.4), y: y2 - head * Math.sin(angle + 0.4) };
+    const labelX = x2 + head * Math.cos(angle);
+    const labelY = y2 + head * Math.sin(angle);
+
+    return `<line x1="${x1.toFixed(3)}" y1="${y1.toFixed(3)}" x2="${x2.toFixed(3)}" y2="${y2.toFixed(3)}" stroke="${color}" stroke-width="${(size * 0.03).toFixed(3)}"/>
+        <polygon points="${x2.toFixed(3)},${y2.toFixed(3)} ${left.x.toFixed(3)},${left.y.toFixed(3)} ${right.x.toFixed(3)},${right.y.toFixed(3)}" fill="${color}"/>
+        <text x="${labelX.toFixed(3)}" y="${labelY.toFixed(3)}" fill="${color}" font-size="${(size * 0.3).toFixed(3)}" text-anchor="middle" dominant-baseline="middle">${label}</text>`;
+}
+
+/**
+ * SVG elliptical arc parameters (without the end point) for a fitted arc.
+ * Path coordinates are machine coordinates, so counterclockwise G3 arcs sweep
+ * towards positive angles.
+ */
+function svgArcCommand(arc) {
+    const radius = Math.hypot(arc.i, arc.j).toFixed(3);
+    const largeArc = Math.abs(arc.sweep) > Math.PI ? 1 : 0;
+    const sweepFlag = arc.clockwise ? 0 : 1;
+    return `A ${radius} ${radius} 0 ${largeArc} ${sweepFlag}`;
+}
+
+/**
+ * Generate SVG from path
+ * Path coordinates are machine coordinates; Y-up machines are displayed flipped
+ * so the preview shows the drawing as it lands on the bed, with the machine axes.
+ */
+function generateSVG(pathData) {
+    const { path, outputWidth, outputHeight, yUp = false } = pathData;
+    const bounds = pathData.bounds || { minX: 0, minY: 0, maxX: outputWidth, maxY: outputHeight };
+    
+    if (path.length < 2) return '';
+
+    // Travel moves start a new subpath and are drawn separately, dashed.
+    // Each pen layer gets its own path element in its own color.
+    const layerDs = [`M ${path[0].x.toFixed(3)} ${path[0].y.toFixed(3)}`];
+    let travelD = '';
+    for (let i = 1; i < path.length; i++) {
+        const point = `${path[i].x.toFixed(3)} ${path[i].y.toFixed(3)}`;
+        if (path[i].layerStart !== undefined) {
+            layerDs.push('');
+        }
+        if (path[i].travel) {
+            layerDs[layerDs.length - 1] += ` M ${point}`;
+            travelD += ` M ${path[i - 1].x.toFixed(3)} ${path[i - 1].y.toFixed(3)} L ${point}`;
+        } else if (path[i].arc) {
+            layerDs[layerDs.length - 1] += ` ${svgArcCommand(path[i].arc)} ${point}`;
+        } else {
+            layerDs[layerDs.length - 1] += ` L ${point}`;
+        }
+    }
+    const drawnPaths = pathData.layers
+        ? layerDs.map((d, index) =>
+            `<path class="layer-path" data-layer="${index}" d="${d.trim()}" fill="none" stroke="${pathData.layers[index].color}" stroke-width="0.3"/>`
+        ).join('\n        ')
+        : `<path d="${layerDs[0]}" fill="none" stroke="black" stroke-width="0.3"/>`;
+    const travelPath = travelD
+        ? `<path class="travel-moves" d="${travelD.trim()}" fill="none" stroke="#3498db" stroke-width="0.2" stroke-dasharray="1 1"/>`
+        : '';
+
+    // Screen extent covering the drawing and the axis markers at the machine origin
+    const ySign = yUp ? -1 : 1;
+    const markerSize = Math.max(outputWidth, outputHeight) * 0.1;
+    const screenYs = [bounds.minY * ySign, bounds.maxY * ySign, 0, markerSize * ySign];
+    const padding = markerSize * 0.5;
+    const viewX = Math.min(bounds.minX, 0) - padding;
+    const viewY = Math.min(...screenYs) - padding;
+    const viewWidth = Math.max(bounds.maxX, markerSize) - Math.min(bounds.minX, 0) + 2 * padding;
+    const viewHeight = Math.max(...screenYs) - Math.min(...screenYs) + 2 * padding;
+    const viewBox = [viewX, viewY, viewWidth, viewHeight].map(v => v.toFixed(3)).join(' ');
+
+    const paperOutline = pathData.paper
+        ? `<rect class="paper-outline" x="${bounds.minX.toFixed(3)}" y="${bounds.minY.toFixed(3)}" width="${(bounds.maxX - bounds.minX).toFixed(3)}" height="${(bounds.maxY - bounds.minY).toFixed(3)}" fill="none" stroke="#95a5a6" stroke-width="0.5"/>`
+        : '';
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${viewBox}" width="${viewWidth.toFixed(3)}" height="${viewHeight.toFixed(3)}">
+    <rect x="${viewX.toFixed(3)}" y="${viewY.toFixed(3)}" width="${viewWidth.toFixed(3)}" height="${viewHeight.toFixed(3)}" fill="white"/>
+    <g transform="scale(1 ${ySign})">
+        ${paperOutline}
+        ${drawnPaths}
+        ${travelPath}
+    </g>
+    <g class="axis-markers">
+        ${svgAxisMarker(0, 0, markerSize, 0, markerSize, '#e74c3c', 'X')}
+        ${svgAxisMarker(0, 0, 0, markerSize * ySign, markerSize, '#27ae60', 'Y')}
+    </g>
+</svg>`;
+
+    return svg;
+}
+
+/**
+ * Fill {placeholders} in a header/footer template
+ */
+function renderTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+/**
+ * Get the G-code lines for a pen move, followed by the profile's dwell
+ */
+function penCommandLines(command, profile) {
+    const lines = command.split('\n').filter(line => line.trim() !== '');
+    if (profile.dwell > 0) {
+        const dwell = profile.dwellInMs ? Math.round(profile.dwell * 1000) : profile.dwell;
+        lines.push(`G4 P${dwell} ; Wait for pen`);
+    }
+    return lines;
+}
+
+/**
+ * Turn angle at point b between segments a->b and b->c (0 = straight, PI = full reversal)
+ */
+function turnAngle(a, b, c) {
+    const ux = b.x - a.x, uy = b.y - a.y;
+    const vx = c.x - b.x, vy = c.y - b.y;
+    const lenU = Math.hypot(ux, uy);
+    const lenV = Math.hypot(vx, vy);
+    if (lenU === 0 || lenV === 0) return 0;
+    const cos = (ux * vx + uy * vy) / (lenU * lenV);
+    return Math.acos(Math.max(-1, Math.min(1, cos)));
+}
+
+/**
+ * Ramer-Douglas-Peucker simplification of every pen-down stroke.
+ * Points that start a travel move or a pen layer are kept with their flags,
+ * so pen lifts and tool changes are unchanged. tolerance is in mm (0 = off).
+ */
+function simplifyPath(path, tolerance) {
+    if (!(tolerance > 0) || path.length < 3) return path;
+
+    const keep = new Array(path.length).fill(false);
+    let strokeStart = 0;
+    for (let i = 1; i <= path.length; i++) {
+        if (i < path.length && !path[i].travel && path[i].layerStart === undefined) continue;
+
+        // Stroke runs from strokeStart to i - 1
+        keep[strokeStart] = true;
+        keep[i - 1] = true;
+        const stack = [[strokeStart, i - 1]];
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            let maxDistance = 0;
+            let index = -1;
+            for (let j = first + 1; j < last; j++) {
+                const distance = distanceToSegment(path[j], path[first], path[last]);
+                if (distance > maxDistance) {
+                    maxDistance = distance;
+                    index = j;
+                }
+            }
+            if (index !== -1 && maxDistance > tolerance) {
+                keep[index] = true;
+                stack.push([first, index], [index, last]);
+            }
+        }
+        strokeStart = i;
+    }
+
+    return path.filter((point, i) => keep[i]);
+}
+
+/**
+ * Replace runs of pen-down points that lie on a circle with single arc moves.
+ * The end point of an arc carries arc: { i, j, clockwise, sweep, points }, with the
+ * center offset from the previous point as in G2/G3 (clockwise in machine coordinates)
+ * and points the pen-down points the arc replaced.
+ * tolerance is the largest allowed deviation in mm (0 = off).
+ */
+function fitArcs(path, tolerance) {
+    if (!(tolerance > 0) || path.length < 3) return path;
+
+    const startsStroke = point => point.travel || point.layerStart !== undefined;
+    const result = [path[0]];
+    let start = 0;
+    while (start < path.length - 1) {
+        let arc = null;
+        let arcEnd = start + 1;
+        if (!startsStroke(path[start + 1])) {
+            for (let end = start + 2; end < path.length && end - start <= MAX_ARC_POINTS; end++) {
+                if (startsStroke(path[end])) break;
+                const candidate = fitArc(path, start, end, tolerance);
+                if (!candidate) break;
+                arc = candidate;
+                arcEnd = end;
+            }
+        }
+
+        result.push(arc ? { ...path[arcEnd], arc: { ...arc, points: path.slice(start + 1, arcEnd) } } : path[start + 1]);
+        start = arcEnd;
+    }
+
+    return result;
+}
+
+// Limits that keep arc fitting local and away from nearly straight runs
+const MAX_ARC_POINTS = 64;
+const MAX_ARC_RADIUS = 500;
+
+// Largest difference (mm) between the start and end radius of a G2/G3 that GRBL accepts
+const ARC_RADIUS_TOLERANCE = 0.005;
+
+/**
+ * The arc through path[start..end] if every point and every chord stays within
+ * tolerance of it and the points turn steadily in one direction, else null
+ */
+function fitArc(path, start, end, tolerance) {
+    const a = path[start];
+    const m = path[Math.floor((start + end) / 2)];
+    const b = path[end];
+
+    // Circumcenter of the first, middle and last point
+    const d = 2 * (a.x * (m.y - b.y) + m.x * (b.y - a.y) + b.x * (a.y - m.y));
+    if (Math.abs(d) < 1e-12) return null;
+    const aa = a.x * a.x + a.y * a.y;
+    const mm = m.x * m.x + m.y * m.y;
+    const bb = b.x * b.x + b.y * b.y;
+    const cx = (aa * (m.y - b.y) + mm * (b.y - a.y) + bb * (a.y - m.y)) / d;
+    const cy = (aa * (b.x - m.x) + mm * (a.x - b.x) + bb * (m.x - a.x)) / d;
+    const radius = Math.hypot(a.x - cx, a.y - cy);
+    if (radius > MAX_ARC_RADIUS) return null;
+
+    let sweep = 0;
+    for (let k = start; k <= end; k++) {
+        const p = path[k];
+        if (Math.abs(Math.hypot(p.x - cx, p.y - cy) - radius) > tolerance) return null;
+        if (k === end) break;
+
+        const q = path[k + 1];
+        const ux = p.x - cx, uy = p.y - cy;
+        const vx = q.x - cx, vy = q.y - cy;
+        const delta = Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        // Every step must turn the same way, and its chord must hug the arc
+        if (delta === 0 || (sweep !== 0 && Math.sign(delta) !== Math.sign(sweep))) return null;
+        if (radius * (1 - Math.cos(delta / 2)) > tolerance) return null;
+        sweep += delta;
+    }
+    if (Math.abs(sweep) >= 2 * Math.PI - 1e-6) return null;
+
+    return { i: cx - a.x, j: cy - a.y, clockwise: sweep < 0, sweep };
+}
+
+/**
+ * Distance from point p to the segment a-b
+ */
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0
+        ? 0
+        : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * Plot statistics for a path: drawn and travel length (mm), pen lifts, drawn
+ * segment count and estimated duration (seconds).
+ *
+ * Options: feedRate, travelFeedRate (travel moves without one are estimated at the
+ * draw feed), minCornerFeedRate (as in generateGCodeFromPath), acceleration (mm/s²;
+ * each stroke is planned with a trapezoidal profile that starts and ends at rest,
+ * slowing down through corners; 0 = constant speed), profile (its pen dwell is added
+ * for every pen move)
+ */
+function computePathStats(pathData, options = {}) {
+    const {
+        feedRate = 1000,
+        travelFeedRate = 0,
+        minCornerFeedRate = 0,
+        acceleration = 500,
+        profile = MACHINE_PROFILES.spindle
+    } = options;
+    const { path } = pathData;
+    const stats = { drawnLength: 0, travelLength: 0, penLifts: 0, segments: 0, duration: 0 };
+    if (path.length < 2) return stats;
+
+    const segmentFeeds = minCornerFeedRate > 0 && minCornerFeedRate < feedRate
+        ? computeSegmentFeedRates(path, feedRate, minCornerFeedRate)
+        : null;
+
+    // Strokes: runs of drawn moves, or a single travel move; the machine stops between them
+    let stroke = [];
+    const finishStroke = () => {
+        stats.duration += strokeDuration(stroke, acceleration);
+        stroke = [];
+    };
+    for (let i = 1; i < path.length; i++) {
+        const point = path[i];
+        const length = moveLength(path[i - 1], point);
+        if (point.travel) {
+            finishStroke();
+            stats.travelLength += length;
+            stats.penLifts++;
+            stroke.push({ length, speed: (travelFeedRate || feedRate) / 60, turn: 0 });
+            finishStroke();
+            continue;
+        }
+        stats.drawnLength += length;
+        stats.segments++;
+        stroke.push({
+            length,
+            speed: (segmentFeeds ? segmentFeeds[i] : feedRate) / 60,
+            // Turn into the next drawn move, if there is one
+            turn: i + 1 < path.length && !path[i + 1].travel ? turnAngle(path[i - 1], point, path[i + 1]) : Math.PI
+        });
+    }
+    finishStroke();
+
+    // Start, pen down and end, plus a lift and a lowering for every travel move
+    const penMoves = 3 + 2 * stats.penLifts;
+    stats.duration += penMoves * (profile.dwell || 0);
+
+    return stats;
+}
+
+/**
+ * Length of the move ending at point: the arc length for fitted arcs
+ */
+function moveLength(from, point) {
+    if (point.arc) {
+        return Math.hypot(point.arc.i, point.arc.j) * Math.abs(point.arc.sweep);
+    }
+    return Math.hypot(point.x - from.x, point.y - from.y);
+}
+
+/**
+ * Time for a chain of moves { length, speed, turn } with a trapezoidal
+ * velocity profile. Junction speeds are capped by the turn between moves
+ * (full speed straight on, a stop at 90 degrees or more) and by what the
+ * acceleration allows over the neighbouring moves.
+ */
+function strokeDuration(moves, acceleration) {
+    if (moves.length === 0) return 0;
+    if (!(acceleration > 0)) {
+        return moves.reduce((total, move) => total + move.length / move.speed, 0);
+    }
+
+    // junctions[k] is the speed between moves k - 1 and k; at rest at both ends
+    const junctions = [0];
+    for (let k = 0; k < moves.length - 1; k++) {
+        junctions.push(Math.min(moves[k].speed, moves[k + 1].speed) * Math.max(0, Math.cos(moves[k].turn)));
+    }
+    junctions.push(0);
+    for (let k = 1; k < junctions.length; k++) {
+        junctions[k] = Math.min(junctions[k], Math.sqrt(junctions[k - 1] ** 2 + 2 * acceleration * moves[k - 1].length));
+    }
+    for (let k = junctions.length - 2; k >= 0; k--) {
+        junctions[k] = Math.min(junctions[k], Math.sqrt(junctions[k + 1] ** 2 + 2 * acceleration * moves[k].length));
+    }
+
+    return moves.reduce((total, move, k) => {
+        const v0 = junctions[k];
+        const v1 = junctions[k + 1];
+        const { length, speed } = move;
+        if (length === 0) return total;
+        const accelDistance = (speed ** 2 - v0 ** 2) / (2 * acceleration);
+        const decelDistance = (speed ** 2 - v1 ** 2) / (2 * acceleration);
+        if (accelDistance + decelDistance <= length) {
+            return total + (speed - v0) / acceleration + (speed - v1) / acceleration +
+                (length - accelDistance - decelDistance) / speed;
+        }
+        // Too short to reach cruise speed: accelerate to a peak and brake straight away
+        const peak = Math.sqrt((2 * acceleration * length + v0 ** 2 + v1 ** 2) / 2);
+        return total + (peak - v0) / acceleration + (peak - v1) / acceleration;
+    }, 0);
+}
+
+/**
+ * Format seconds as h:mm:ss
+ */
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor(total / 60) % 60;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Line count and UTF-8 byte size of a G-code program
+ */
+function measureGCode(gcode) {
+    return {
+        lines: gcode ? gcode.split('\n').length : 0,
+        bytes: new TextEncoder().encode(gcode).length
+    };
+}
+
+/**
+ * Per-segment feed rates that slow down into and out of sharp turns.
+ * feeds[i] is the feed for the segment ending at path[i]; the sharper of the
+ * turns at either end scales the feed linearly from feedRate (straight) down
+ * to minFeedRate (full reversal).
+ */
+function computeSegmentFeedRates(path, feedRate, minFeedRate) {
+    const turns = path.map((p, i) =>
+        i > 0 && i < path.length - 1 ? turnAngle(path[i - 1], p, path[i + 1]) : 0
+    );
+    const feeds = [feedRate];
+    for (let i = 1; i < path.length; i++) {
+        const sharpness = Math.max(turns[i - 1], turns[i]) / Math.PI;
+        feeds.push(Math.round(feedRate - (feedRate - minFeedRate) * sharpness));
+    }
+    return feeds;
+}
+
+/**
+ * Generate G-Code from path
+ * Continuous path; the pen only lifts for points marked as travel moves
+ *
+ * Options: feedRate (draw, mm/min), travelFeedRate (G0, mm/min, omitted when falsy),
+ * minCornerFeedRate (enables per-segment slowdown on sharp turns), profile (machine profile),
+ * pauses for a pen change (profile.toolChange) where a pen layer starts when pathData.layers is set,
+ * workArea ({ minX, minY, maxX, maxY } in mm; throws if any point falls outside it),
+ * precision (decimal places of coordinates, default 3), omitUnchangedAxes (leave out
+ * X or Y words that repeat the previous position). Points carrying arc (see fitArcs)
+ * become G2/G3 moves. The header names pathData.algorithm (the generator that made
+ * the path) and summarizes computePathStats, with acceleration (mm/s², default 500)
+ * for the time estimate. A number instead of options is taken as
+ * the draw feed rate, as in earlier versions.
+ */
+function generateGCodeFromPath(pathData, options = {}) {
+    if (typeof options === 'number') options = { feedRate: options };
+    const {
+        feedRate = 1000,
+        travelFeedRate = 0,
+        minCornerFeedRate = 0,
+        profile = MACHINE_PROFILES.spindle,
+        workArea = null,
+        precision = 3,
+        omitUnchangedAxes = false,
+        acceleration = 500
+    } = options;
+    const { path, outputWidth, outputHeight } = pathData;
+    
+    if (path.length < 2) return '';
+
+    if (workArea) {
+        const outside = findPointOutsideArea(path, workArea);
+        if (outside !== -1) {
+            const p = path[outside];
+            throw new Error(
+                `Point ${outside} (X${p.x.toFixed(3)} Y${p.y.toFixed(3)}) is outside the machine work area ` +
+                `X${workArea.minX}..${workArea.maxX} Y${workArea.minY}..${workArea.maxY} mm. ` +
+                'Reduce the output size, change the offsets or use a fit mode.'
+            );
+        }
+    }
+
+    const templateValues = {
+        date: new Date().toISOString(),
+        width: outputWidth.toFixed(3),
+        height: outputHeight.toFixed(3),
+        feed: feedRate,
+        travelFeed: travelFeedRate,
+        profile: profile.label
+    };
+    const travelFeed = travelFeedRate ? ` F${travelFeedRate}` : '';
+    const toolChangeLines = point => {
+        if (!pathData.layers || point.layerStart === undefined) return [];
+        const layer = pathData.layers[point.layerStart];
+        return [
+            `; Layer ${point.layerStart + 1}: ${layer.name}`,
+            renderTemplate(profile.toolChange || DEFAULT_TOOL_CHANGE, {
+                ...templateValues,
+                pen: layer.name,
+                tool: point.layerStart + 1
+            })
+        ];
+    };
+    // Fixed decimals without a "-0.000" for values that round to zero
+    const formatNumber = value => {
+        const text = value.toFixed(precision);
+        return /^-0(\.0*)?$/.test(text) ? text.slice(1) : text;
+    };
+    // Axis words, skipping those equal to the previous position when requested
+    let lastX = null, lastY = null;
+    const axisWords = point => {
+        const x = formatNumber(point.x);
+        const y = formatNumber(point.y);
+        const words = [];
+        if (!omitUnchangedAxes || x !== lastX) words.push(`X${x}`);
+        if (!omitUnchangedAxes || y !== lastY) words.push(`Y${y}`);
+        lastX = x;
+        lastY = y;
+        return words.join(' ');
+    };
+    const travelLine = point => {
+        const words = axisWords(point);
+        return words ? [`G0 ${words}${travelFeed}`] : [];
+    };
+    // Controllers check the arc with the numbers as written: the start and end must lie on
+    // one circle around the rounded center (GRBL error 33 otherwise), and an end equal to
+    // the start makes a full circle. Arcs that rounding breaks are sent as straight moves
+    // through the points they replaced.
+    const arcSurvivesRounding = (point, arc) => {
+        const startX = parseFloat(lastX), startY = parseFloat(lastY);
+        const endX = parseFloat(formatNumber(point.x)), endY = parseFloat(formatNumber(point.y));
+        if (endX === startX && endY === startY) return false;
+        const centerX = startX + parseFloat(formatNumber(arc.i));
+        const centerY = startY + parseFloat(formatNumber(arc.j));
+        const startRadius = Math.hypot(startX - centerX, startY - centerY);
+        const endRadius = Math.hypot(endX - centerX, endY - centerY);
+        return Math.abs(startRadius - endRadius) <= ARC_RADIUS_TOLERANCE;
+    };
+    const segmentFeeds = minCornerFeedRate > 0 && minCornerFeedRate < feedRate
+        ? computeSegmentFeedRates(path, feedRate, minCornerFeedRate)
+        : null;
+
+    let gcode = [];
+    
+    // Header
+    gcode.push('; G-Code generated by Pen Plotter G-Code Generator');
+    const penLifts = path.filter(p => p.travel).length;
+    const algorithm = pathData.algorithm || 'Hatch Sawtooth Algorithm';
+    gcode.push(penLifts === 0
+        ? `; ${algorithm} - Continuous path (no pen lifts)`
+        : `; ${algorithm} - ${penLifts} pen lifts`);
+    gcode.push(`; Generated: ${templateValues.date}`);
+    gcode.push(`; Machine profile: ${profile.label}`);
+    gcode.push(`; Draw feed: ${feedRate} mm/min` + (travelFeedRate ? `, travel feed: ${travelFeedRate} mm/min` : ''));
+    if (segmentFeeds) {
+        gcode.push(`; Corner slowdown down to ${minCornerFeedRate} mm/min`);
+    }
+    if (pathData.layers) {
+        gcode.push(`; Pens: ${pathData.layers.map(layer => layer.name).join(', ')}`);
+    }
+    const stats = computePathStats(pathData, { feedRate, travelFeedRate, minCornerFeedRate, acceleration, profile });
+    gcode.push(`; Drawn length: ${stats.drawnLength.toFixed(1)} mm in ${stats.segments} segments, travel: ${stats.travelLength.toFixed(1)} mm`);
+    gcode.push(`; Estimated time: ${formatDuration(stats.duration)} (acceleration ${acceleration} mm/s²)`);
+    gcode.push('');
+    gcode.push(renderTemplate(profile.header, templateValues));
+    gcode.push('');
+    
+    // Move to start position (pen up)
+    gcode.push('; Move to start position');
+    gcode.push(...penCommandLines(profile.penUp, profile));
+    gcode.push(...toolChangeLines(path[0]));
+    gcode.push(...travelLine(path[0]));
+    gcode.push('');
+    
+    // Lower pen and draw
+    gcode.push('; Begin drawing');
+    gcode.push(...penCommandLines(profile.penDown, profile));
+    gcode.push(`G1 F${feedRate}`);
+    gcode.push('');
+    
+    // Draw path, lifting the pen for travel moves
+    let currentFeed = feedRate;
+    for (let i = 1; i < path.length; i++) {
+        if (path[i].travel) {
+            gcode.push(...penCommandLines(profile.penUp, profile));
+            gcode.push(...toolChangeLines(path[i]));
+            gcode.push(...travelLine(path[i]));
+            gcode.push(...penCommandLines(profile.penDown, profile));
+            gcode.push(`G1 F${currentFeed}`);
+            continue;
+        }
+        const arc = path[i].arc && arcSurvivesRounding(path[i], path[i].arc) ? path[i].arc : null;
+        if (path[i].arc && !arc) {
+            for (const point of path[i].arc.points) {
+                const words = axisWords(point);
+                if (words) gcode.push(`G1 ${words}`);
+            }
+        }
+        const words = [axisWords(path[i])];
+        if (arc) {
+            words.push(`I${formatNumber(arc.i)} J${formatNumber(arc.j)}`);
+        }
+        if (segmentFeeds && segmentFeeds[i] !== currentFeed) {
+            currentFeed = segmentFeeds[i];
+            words.push(`F${currentFeed}`);
+        }
+        // A move that rounds onto the current position has nothing to say
+        if (words.join('')) {
+            const command = arc ? (arc.clockwise ? 'G2' : 'G3') : 'G1';
+            gcode.push([command, ...words.filter(word => word)].join(' '));
+        }
+    }
+    
+    // Footer
+    gcode.push('');
+    gcode.push('; End of drawing');
+    gcode.push(...penCommandLines(profile.penUp, profile));
+    gcode.push(renderTemplate(profile.footer, templateValues));
+
+    return gcode.join('\n');
+}
+
+/**
+ * Points where the arc ending at point reaches furthest along X or Y, i.e. the
+ * quarter points of its circle that it passes on the way from start
+ */
+function arcExtremePoints(start, point) {
+    const { i, j, sweep } = point.arc;
+    const radius = Math.hypot(i, j);
+    const startAngle = Math.atan2(-j, -i);
+    const extremes = [];
+    for (let quarter = 0; quarter < 4; quarter++) {
+        const angle = quarter * Math.PI / 2;
+        // How far the arc has to turn from its start to reach this angle
+        const turn = ((Math.sign(sweep) * (angle - startAngle)) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+        if (turn <= Math.abs(sweep)) {
+            extremes.push({ x: start.x + i + radius * Math.cos(angle), y: start.y + j + radius * Math.sin(angle) });
+        }
+    }
+    return extremes;
+}
+
+/**
+ * G-code that traces the bounding rectangle of a path with the pen up, so the
+ * paper can be lined up before plotting. Arcs count with the points they bulge
+ * out to. Ends back at the first corner.
+ */
+function generateBoundingBoxGCode(pathData, profile, travelFeedRate = 0) {
+    // A loop rather than Math.min(...xs): spreading a large path overflows the stack
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    const include = p => {
+        minX = Math.min(minX, p.x);
+        maxX = Math.max(maxX, p.x);
+        minY = Math.min(minY, p.y);
+        maxY = Math.max(maxY, p.y);
+    };
+    pathData.path.forEach((p, index) => {
+        if (p.arc && index > 0) arcExtremePoints(pathData.path[index - 1], p).forEach(include);
+        include(p);
+    });
+    const travelFeed = travelFeedRate ? ` F${travelFeedRate}` : '';
+    const corners = [[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY], [minX, minY]];
+
+    return [
+        '; Bounding box, pen up',
+        'G21 ; Set units to millimeters',
+        'G90 ; Absolute positioning',
+        ...penCommandLines(profile.penUp, profile),
+        ...corners.map(([x, y]) => `G0 X${x.toFixed(3)} Y${y.toFixed(3)}${travelFeed}`)
+    ].join('\n');
+}
+
+/**
+ * Simplify the path and fit arcs. finish: { simplifyTolerance, arcTolerance } in mm;
+ * arcs are only fitted for an arcTolerance above 0.
+ */
+function finishPath(pathData, finish = {}) {
+    const { simplifyTolerance = 0, arcTolerance = 0 } = finish;
+    const simplifiedPath = simplifyPath(pathData.path, simplifyTolerance);
+    return {
+        ...pathData,
+        path: arcTolerance > 0 ? fitArcs(simplifiedPath, arcTolerance) : simplifiedPath
+    };
+}
+
+/**
+ * File name of a poster tile's G-code, from the base name of the drawing's file
+ */
+function tileFileName(tile, baseName) {
+    return `${baseName}-tile-r${tile.row + 1}-c${tile.col + 1}.gcode`;
+}
+
+/**
+ * Split image-space path data into poster tiles (see splitIntoTiles), refusing a
+ * drawing that leaves no tile to plot
+ */
+function splitDrawingIntoTiles(imagePathData, tiling) {
+    const tiles = splitIntoTiles(imagePathData, tiling);
+    if (tiles.length === 0) {
+        throw new Error('The drawing is empty, so there are no tiles to plot.');
+    }
+    return tiles;
+}
+
+/**
+ * Place image-space path data on the sheet, map it to machine coordinates and order
+ * its strokes when that is enabled.
+ * Returns { unorderedPathData, pathData, travel } with travel { before, after } in mm
+ * of pen-up moves, or null when the strokes were not ordered.
+ */
+function placeDrawingPath(imagePathData, generation) {
+    const placedPathData = generation.sheet ? placeOnSheet(imagePathData, generation.sheet) : imagePathData;
+    const unorderedPathData = transformPath(placedPathData, generation.transform);
+    if (!generation.optimizeOrder) {
+        return { unorderedPathData, pathData: unorderedPathData, travel: null };
+    }
+    const ordered = optimizePathData(unorderedPathData, { mergeTouching: generation.mergeStrokes });
+    return {
+        unorderedPathData,
+        pathData: ordered.pathData,
+        travel: { before: ordered.travelBefore, after: ordered.travelAfter }
+    };
+}
+
+/**
+ * Turn image-space path data into finished machine path data and its G-code
+ * without rendering it, going through the same placement, ordering,
+ * simplification and arc fitting as the preview.
+ * Returns { pathData, gcode }.
+ */
+function buildDrawingGCode(imagePathData, generation) {
+    const pathData = finishPath(placeDrawingPath(imagePathData, generation).pathData, generation.finish);
+    return { pathData, gcode: generateGCodeFromPath(pathData, generation.gcodeOptions) };
+}
+
+/**
+ * G-code files for a drawing: one named baseName.gcode, or one per poster tile
+ * when tiling is enabled. Returns [{ name, content, pathData }].
+ */
+function buildDrawingFiles(imagePathData, generation, baseName) {
+    if (!generation.tiling) {
+        const { pathData, gcode } = buildDrawingGCode(imagePathData, generation);
+        return [{ name: `${baseName}.gcode`, content: gcode, pathData }];
+    }
+    return buildTileFiles(splitDrawingIntoTiles(imagePathData, generation.tiling), generation, baseName);
+}
+
+/**
+ * G-code files of poster tiles from splitDrawingIntoTiles, named after baseName.
+ * Returns [{ name, content, pathData }].
+ */
+function buildTileFiles(tiles, generation, baseName) {
+    return tiles.map(tile => {
+        const { pathData, gcode } = buildDrawingGCode(tile.pathData, generation);
+        return { name: tileFileName(tile, baseName), content: gcode, pathData };
+    });
+}
+
+/**
+ * A drawing's G-code files (see buildDrawingFiles) with the stats of each and an SVG
+ * preview of the first, for listing a batch image without keeping its path data.
+ * Returns { files: [{ name, content, stats }], preview }.
+ */
+function buildBatchOutput(imagePathData, generation, baseName) {
+    const files = buildDrawingFiles(imagePathData, generation, baseName);
+    return {
+        files: files.map(({ name, content, pathData }) => ({
+            name,
+            content,
+            stats: computePathStats(pathData, generation.gcodeOptions)
+        })),
+        preview: generateSVG(files[0].pathData)
+    };
+}
+
+/**
+ * Everything the page shows for image-space path data: the finished machine path,
+ * its SVG preview, stats and G-code, the G-code size before and after optimization
+ * and the travel saved by stroke ordering (see placeDrawingPath).
+ * When the G-code cannot be written, e.g. for a drawing off the bed, error holds the
+ * reason and gcode is empty. onStage(label) is told as each slow step starts.
+ * Returns { pathData, svg, stats, gcode, error, sizes, travel }.
+ */
+function buildDrawingOutput(imagePathData, generation, onStage = null) {
+    if (onStage && generation.optimizeOrder) onStage('Optimizing stroke order');
+    const { unorderedPathData, pathData: orderedPathData, travel } = placeDrawingPath(imagePathData, generation);
+
+    if (onStage) onStage('Writing G-code');
+    // Drop collinear points and fit arcs so the preview shows exactly what gets sent
+    const pathData = finishPath(orderedPathData, generation.finish);
+    const output = {
+        pathData,
+        svg: generateSVG(pathData),
+        stats: computePathStats(pathData, generation.gcodeOptions),
+        gcode: '',
+        error: null,
+        sizes: null,
+        travel
+    };
+    try {
+        output.gcode = generateGCodeFromPath(pathData, generation.gcodeOptions);
+        // Measured against the path as generated, written at full precision
+        const unoptimized = generateGCodeFromPath(unorderedPathData, {
+            ...generation.gcodeOptions,
+            precision: 3,
+            omitUnchangedAxes: false
+        });
+        output.sizes = { before: measureGCode(unoptimized), after: measureGCode(output.gcode) };
+    } catch (error) {
+        output.error = error.message;
+    }
+    return output;
+}
+
+// Export functions for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        transformPath,
+        placeOnSheet,
+        findPointOutsideArea,
+        generateSVG,
+        generateGCodeFromPath,
+        arcExtremePoints,
+        generateBoundingBoxGCode,
+        renderTemplate,
+        penCommandLines,
+        turnAngle,
+        computeSegmentFeedRates,
+        simplifyPath,
+        fitArcs,
+        measureGCode,
+        computePathStats,
+        formatDuration,
+        finishPath,
+        tileFileName,
+        splitDrawingIntoTiles,
+        placeDrawingPath,
+        buildDrawingGCode,
+        buildDrawingFiles,
+        buildTileFiles,
+        buildBatchOutput,
+        buildDrawingOutput,
+        MACHINE_PROFILES
+    };
+}
@@ -0,0 +1,44 @@
+/**
+ * Generation Worker
+ * Runs generateImagePathData and buildDrawingOutput, buildBatchOutput for a batch
+ * image or buildTileFiles for the poster tiles of a drawing off the page and reports
+ * progress, per row while tracing and per step after that
+ */
+
+importScripts('path-generator.js', 'path-optimizer.js', 'poster-tiles.js', 'gcode-writer.js');
+
+// { job, generation } traces the image first, { imagePathData, generation } starts
+// from path data. A tiled drawing is split and its first tile rendered. With a
+// baseName, the files of a batch image are built instead, and with tiles as well,
+// the G-code files of those tiles.
+self.onmessage = event => {
+    const { job, generation, baseName, tiles: splitTiles } = event.data;
+
+    // Progress is posted in whole percent steps, not for every row
+    let lastPercent = -1;
+    const onProgress = (done, total) => {
+        const percent = Math.floor(done / total * 100);
+        if (percent === lastPercent) return;
+        lastPercent = percent;
+        self.postMessage({ type: 'progress', label: 'Generating', done, total });
+    };
+    const onStage = label => self.postMessage({ type: 'progress', label, done: 0, total: 0 });
+
+    try {
+        if (splitTiles) {
+            const files = buildTileFiles(splitTiles, generation, baseName);
+            self.postMessage({ type: 'result', output: files.map(({ name, content }) => ({ name, content })) });
+            return;
+        }
+        const imagePathData = job ? generateImagePathData(job, onProgress) : event.data.imagePathData;
+        if (baseName) {
+            self.postMessage({ type: 'result', output: buildBatchOutput(imagePathData, generation, baseName) });
+            return;
+        }
+        const tiles = generation.tiling ? splitDrawingIntoTiles(imagePathData, generation.tiling) : null;
+        const output = buildDrawingOutput(tiles ? tiles[0].pathData : imagePathData, generation, onStage);
+        self.postMessage({ type: 'result', tiles, output });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,888 @@
+/**
+ * Path Generator
+ * Turns image darkness into pen paths; loaded by the page and the generation worker
+ */
+
+/**
+ * Get grayscale value (0-255, 0 = black, 255 = white)
+ */
+function getGrayscale(r, g, b, a) {
+    // Convert to grayscale using luminance formula
+    // Also consider alpha - transparent pixels are treated as white
+    if (a < 128) return 255;
+    return Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+}
+
+/**
+ * Build a 256-entry lookup table mapping source gray to adjusted gray.
+ * Applied in order: black/white point levels, brightness, contrast, gamma, invert.
+ * brightness and contrast range from -1 to 1; gamma > 1 lightens the midtones.
+ */
+function buildToneCurve(tone = {}) {
+    const {
+        gamma = 1,
+        contrast = 0,
+        brightness = 0,
+        blackPoint = 0,
+        whitePoint = 255,
+        invert = false
+    } = tone;
+
+    const range = Math.max(1, whitePoint - blackPoint);
+    const clampedContrast = Math.max(-0.99, Math.min(0.99, contrast));
+    const contrastFactor = (1 + clampedContrast) / (1 - clampedContrast);
+    const curve = new Uint8ClampedArray(256);
+
+    for (let gray = 0; gray < 256; gray++) {
+        let v = (gray - blackPoint) / range;
+        v = Math.max(0, Math.min(1, v));
+        v += brightness;
+        v = (v - 0.5) * contrastFactor + 0.5;
+        v = Math.max(0, Math.min(1, v));
+        v = Math.pow(v, 1 / Math.max(0.01, gamma));
+        if (invert) v = 1 - v;
+        curve[gray] = Math.round(v * 255);
+    }
+
+    return curve;
+}
+
+/**
+ * Apply a tone curve, returning grayscale image data of the same size.
+ * Transparent pixels are kept transparent so they still count as white paper.
+ */
+function applyToneCurve(imageData, curve) {
+    const source = imageData.data;
+    const data = new Uint8ClampedArray(source.length);
+
+    for (let i = 0; i < source.length; i += 4) {
+        const gray = curve[getGrayscale(source[i], source[i + 1], source[i + 2], 255)];
+        data[i] = gray;
+        data[i + 1] = gray;
+        data[i + 2] = gray;
+        data[i + 3] = source[i + 3];
+    }
+
+    return { data, width: imageData.width, height: imageData.height };
+}
+
+/**
+ * Count pixels per gray level (transparent pixels count as white)
+ */
+function computeHistogram(imageData) {
+    const histogram = new Array(256).fill(0);
+    const data = imageData.data;
+
+    for (let i = 0; i < data.length; i += 4) {
+        histogram[getGrayscale(data[i], data[i + 1], data[i + 2], data[i + 3])]++;
+    }
+
+    return histogram;
+}
+
+// Process colors; the preview color is darker than the ink where pure ink is hard to see on white
+const CMYK_CHANNELS = [
+    { name: 'cyan', color: '#00a0e0' },
+    { name: 'magenta', color: '#e0007a' },
+    { name: 'yellow', color: '#e6b800' },
+    { name: 'black', color: '#000000' }
+];
+
+/**
+ * Parse a pen palette such as "black=#000, red=#d62728, #1f77b4".
+ * Unnamed entries are named after their hex color.
+ */
+function parsePalette(text) {
+    const palette = [];
+    for (const entry of text.split(',')) {
+        const match = entry.trim().match(/^(?:([^=]+?)\s*=\s*)?#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+        if (!match) continue;
+        let hex = match[2].toLowerCase();
+        if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+        const rgb = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+        palette.push({ name: match[1] || `#${hex}`, color: `#${hex}`, rgb });
+    }
+    return palette;
+}
+
+/**
+ * Split an image into one grayscale darkness image per pen.
+ * 'cmyk' uses the process colors; 'palette' assigns each pixel to the nearest pen,
+ * with coverage from how far the pixel is from white relative to the pen color.
+ * Returns [{ name, color, imageData }]; white pens are skipped since white is the paper.
+ */
+function separateColors(imageData, mode, palette = []) {
+    const { data, width, height } = imageData;
+    const pens = mode === 'cmyk'
+        ? CMYK_CHANNELS
+        : palette.filter(pen => Math.hypot(255 - pen.rgb[0], 255 - pen.rgb[1], 255 - pen.rgb[2]) >= 1);
+    const planes = pens.map(() => new Uint8ClampedArray(data.length));
+    const coverage = new Array(pens.length);
+
+    for (let i = 0; i < data.length; i += 4) {
+        coverage.fill(0);
+
+        if (data[i + 3] >= 128) {
+            const r = data[i], g = data[i + 1], b = data[i + 2];
+            if (mode === 'cmyk') {
+                const k = 1 - Math.max(r, g, b) / 255;
+                if (k < 1) {
+                    coverage[0] = (1 - r / 255 - k) / (1 - k);
+                    coverage[1] = (1 - g / 255 - k) / (1 - k);
+                    coverage[2] = (1 - b / 255 - k) / (1 - k);
+                }
+                coverage[3] = k;
+            } else if (pens.length > 0) {
+                let nearest = 0;
+                let nearestDistance = Infinity;
+                pens.forEach((pen, index) => {
+                    const distance = Math.hypot(r - pen.rgb[0], g - pen.rgb[1], b - pen.rgb[2]);
+                    if (distance < nearestDistance) {
+                        nearest = index;
+                        nearestDistance = distance;
+                    }
+                });
+                const pen = pens[nearest].rgb;
+                const fromWhite = Math.hypot(255 - r, 255 - g, 255 - b);
+                const penFromWhite = Math.hypot(255 - pen[0], 255 - pen[1], 255 - pen[2]);
+                coverage[nearest] = Math.min(1, fromWhite / penFromWhite);
+            }
+        }
+
+        for (let p = 0; p < pens.length; p++) {
+            const gray = Math.round(255 * (1 - coverage[p]));
+            planes[p][i] = gray;
+            planes[p][i + 1] = gray;
+            planes[p][i + 2] = gray;
+            planes[p][i + 3] = 255;
+        }
+    }
+
+    return pens.map((pen, p) => ({
+        name: pen.name,
+        color: pen.color,
+        imageData: { data: planes[p], width, height }
+    }));
+}
+
+/**
+ * Calculate average darkness for a cell (0 = white, 1 = black)
+ */
+function getCellDarkness(imageData, x, y, cellSize, imgWidth, imgHeight) {
+    let totalGray = 0;
+    let count = 0;
+
+    const startX = Math.floor(x);
+    const startY = Math.floor(y);
+    const endX = Math.min(startX + cellSize, imgWidth);
+    const endY = Math.min(startY + cellSize, imgHeight);
+
+    for (let py = startY; py < endY; py++) {
+        for (let px = startX; px < endX; px++) {
+            const idx = (py * imgWidth + px) * 4;
+            const gray = getGrayscale(
+                imageData.data[idx],
+                imageData.data[idx + 1],
+                imageData.data[idx + 2],
+                imageData.data[idx + 3]
+            );
+            totalGray += gray;
+            count++;
+        }
+    }
+
+    if (count === 0) return 0;
+    // Convert to darkness (0 = white, 1 = black)
+    return 1 - (totalGray / count / 255);
+}
+
+/**
+ * Build a bilinear darkness sampler over the whole image.
+ * Returns (x, y) => darkness (0-1) at continuous pixel coordinates, where pixel
+ * centers sit at i + 0.5 and points past the border take the nearest edge value.
+ * prefilter is an optional Gaussian blur sigma in pixels (0 = none).
+ */
+function createDarknessSampler(imageData, imgWidth, imgHeight, prefilter = 0) {
+    let map = new Float32Array(imgWidth * imgHeight);
+    for (let i = 0; i < map.length; i++) {
+        const idx = i * 4;
+        map[i] = 1 - getGrayscale(
+            imageData.data[idx],
+            imageData.data[idx + 1],
+            imageData.data[idx + 2],
+            imageData.data[idx + 3]
+        ) / 255;
+    }
+
+    if (prefilter > 0) {
+        map = gaussianBlur(map, imgWidth, imgHeight, prefilter);
+    }
+
+    return (x, y) => {
+        const fx = Math.max(0, Math.min(imgWidth - 1, x - 0.5));
+        const fy = Math.max(0, Math.min(imgHeight - 1, y - 0.5));
+        const x0 = Math.floor(fx), y0 = Math.floor(fy);
+        const x1 = Math.min(x0 + 1, imgWidth - 1), y1 = Math.min(y0 + 1, imgHeight - 1);
+        const tx = fx - x0, ty = fy - y0;
+        const top = map[y0 * imgWidth + x0] * (1 - tx) + map[y0 * imgWidth + x1] * tx;
+        const bottom = map[y1 * imgWidth + x0] * (1 - tx) + map[y1 * imgWidth + x1] * tx;
+        return top * (1 - ty) + bottom * ty;
+    };
+}
+
+/**
+ * Separable Gaussian blur of a single-channel map. Weights are renormalized
+ * over the pixels inside the image so the border is not darkened or lightened.
+ */
+function gaussianBlur(map, width, height, sigma) {
+    const radius = Math.ceil(sigma * 3);
+    const kernel = [];
+    for (let k = -radius; k <= radius; k++) {
+        kernel.push(Math.exp(-(k * k) / (2 * sigma * sigma)));
+    }
+
+    const pass = (source, horizontal) => {
+        const result = new Float32Array(source.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0, weight = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    const sx = horizontal ? x + k : x;
+                    const sy = horizontal ? y : y + k;
+                    if (sx < 0 || sy < 0 || sx >= width || sy >= height) continue;
+                    const w = kernel[k + radius];
+                    sum += source[sy * width + sx] * w;
+                    weight += w;
+                }
+                result[y * width + x] = sum / weight;
+            }
+        }
+        return result;
+    };
+
+    return pass(pass(map, true), false);
+}
+
+/**
+ * Waveform shapes within one cell, as [t, v] pairs:
+ * t = fraction of the cell in drawing direction, v = displacement (-1..1, positive is up).
+ * 'peak' is the classic one-sided sawtooth; the others are centered on the row's base line.
+ */
+const WAVEFORMS = {
+    peak: [[0.5, 1], [1, 0]],
+    triangle: [[0.25, 1], [0.75, -1], [1, 0]],
+    square: [[0, 1], [0.5, 1], [0.5, -1], [1, -1], [1, 0]],
+    sine: Array.from({ length: 8 }, (_, i) => {
+        const t = (i + 1) / 8;
+        return [t, t === 1 ? 0 : Math.sin(2 * Math.PI * t)];
+    })
+};
+
+/**
+ * Darkness of the cell centered on an arbitrary image point (pixels),
+ * or null when the point lies outside the image
+ */
+function sampleDarknessAt(imageData, cx, cy, cellSize, imgWidth, imgHeight) {
+    if (cx < 0 || cy < 0 || cx >= imgWidth || cy >= imgHeight) return null;
+    const half = cellSize / 2;
+    return getCellDarkness(imageData, Math.max(0, cx - half), Math.max(0, cy - half), cellSize, imgWidth, imgHeight);
+}
+
+/**
+ * Append a pen-up travel move to a path.
+ * Consecutive travel moves merge into one; before anything is drawn the start point moves instead.
+ */
+function pushTravel(path, point) {
+    const last = path[path.length - 1];
+    if (path.length === 1) {
+        path[0] = { x: point.x, y: point.y };
+    } else if (last.travel) {
+        path[path.length - 1] = { x: point.x, y: point.y, travel: true };
+    } else {
+        path.push({ x: point.x, y: point.y, travel: true });
+    }
+}
+
+/**
+ * Mark cells that belong to a run of at least minRun cells lighter than threshold
+ */
+function findBlankCells(darkness, threshold, minRun) {
+    const blank = new Array(darkness.length).fill(false);
+    if (!(threshold > 0)) return blank;
+
+    let runStart = -1;
+    for (let col = 0; col <= darkness.length; col++) {
+        const light = col < darkness.length && darkness[col] < threshold;
+        if (light && runStart === -1) {
+            runStart = col;
+        } else if (!light && runStart !== -1) {
+            if (col - runStart >= minRun) {
+                blank.fill(true, runStart, col);
+            }
+            runStart = -1;
+        }
+    }
+    return blank;
+}
+
+/**
+ * The bilinear sampler requested by the path options, or null for cell averaging
+ */
+function getVertexSampler(imageData, imgWidth, imgHeight, options) {
+    if (options.sampler) return options.sampler;
+    if (options.sampling !== 'bilinear') return null;
+    return createDarknessSampler(imageData, imgWidth, imgHeight, options.prefilter || 0);
+}
+
+/**
+ * Generate Hatch Sawtooth path
+ * Creates a continuous zigzag path where amplitude varies based on image darkness
+ *
+ * Options: waveform (key of WAVEFORMS, default 'peak'),
+ * maxCycles (frequency modulation: darkness also sets the number of waveform
+ * cycles per cell, from 0 in white up to maxCycles in black; 0 = one cycle per cell),
+ * blankThreshold/minBlankCells (runs of at least minBlankCells cells lighter than
+ * blankThreshold become pen-up travel moves, marked with travel: true; 0 = never lift),
+ * angle (hatch direction in degrees; rows run along it over a rotated sampling grid,
+ * and cells outside the image are always traveled over),
+ * sampling ('cell' box-averages each cell; 'bilinear' interpolates darkness at every
+ * emitted vertex along the pen trajectory, with cell decisions taken at the center of
+ * the part of the cell inside the image), prefilter (Gaussian sigma in pixels for
+ * bilinear sampling), sampler (a prebuilt createDarknessSampler, to share between layers),
+ * onProgress (called with (rowsDone, totalRows) after every row)
+ */
+function generateHatchSawtoothPath(imageData, imgWidth, imgHeight, cellSize, maxAmplitude, outputWidth, options = {}) {
+    const {
+        waveform = 'peak', maxCycles = 0, blankThreshold = 0, minBlankCells = 1, angle = 0, onProgress = null
+    } = options;
+    const shape = WAVEFORMS[waveform] || WAVEFORMS.peak;
+    const centered = shape !== WAVEFORMS.peak;
+    const sampler = getVertexSampler(imageData, imgWidth, imgHeight, options);
+
+    const scale = outputWidth / imgWidth;
+    const outputHeight = imgHeight * scale;
+    const scaledCellSize = cellSize * scale;
+
+    // Hatch grid in image pixels: rows run along u and are stacked along v
+    const rotated = angle % 360 !== 0;
+    const theta = angle * Math.PI / 180;
+    const ux = Math.cos(theta), uy = Math.sin(theta);
+    const vx = -uy, vy = ux;
+    const corners = [[0, 0], [imgWidth, 0], [0, imgHeight], [imgWidth, imgHeight]];
+    const us = corners.map(([cx, cy]) => cx * ux + cy * uy);
+    const vs = corners.map(([cx, cy]) => cx * vx + cy * vy);
+    const uMin = rotated ? Math.min(...us) : 0;
+    const vMin = rotated ? Math.min(...vs) : 0;
+    const gridWidth = rotated ? Math.max(...us) - uMin : imgWidth;
+    const gridHeight = rotated ? Math.max(...vs) - vMin : imgHeight;
+    const hatchWidth = gridWidth * scale;
+
+    const numRows = Math.ceil(gridHeight / cellSize - 1e-9);
+    const numCols = Math.ceil(gridWidth / cellSize - 1e-9);
+
+    // Map hatch coordinates (mm along and across the rows) to output coordinates.
+    // Rotated cells straddle the image border, so their points are clamped to the drawing.
+    const toOutput = rotated
+        ? (hx, hy) => {
+            const u = uMin * scale + hx;
+            const v = vMin * scale + hy;
+            return {
+                x: Math.max(0, Math.min(outputWidth, u * ux + v * vx)),
+                y: Math.max(0, Math.min(outputHeight, u * uy + v * vy))
+            };
+        }
+        : (hx, hy) => ({ x: hx, y: hy });
+
+    // Hatch coordinates (mm) to image pixels, for sampling along the trajectory
+    const toImage = (hx, hy) => {
+        const u = uMin + hx / scale;
+        const v = vMin + hy / scale;
+        return rotated ? { x: u * ux + v * vx, y: u * uy + v * vy } : { x: u, y: v };
+    };
+
+    // Darkness of a cell, or null when a rotated cell's center lies outside the image
+    const sampleCell = (row, col) => {
+        if (sampler) {
+            // Center of the part of the cell that lies inside the grid
+            const cu = (col * cellSize + Math.min((col + 1) * cellSize, gridWidth)) / 2;
+            const cv = (row * cellSize + Math.min((row + 1) * cellSize, gridHeight)) / 2;
+            const center = toImage(cu * scale, cv * scale);
+            if (center.x < 0 || center.y < 0 || center.x >= imgWidth || center.y >= imgHeight) return null;
+            return sampler(center.x, center.y);
+        }
+        if (!rotated) {
+            return getCellDarkness(imageData, col * cellSize, row * cellSize, cellSize, imgWidth, imgHeight);
+        }
+        const cu = uMin + (col + 0.5) * cellSize;
+        const cv = vMin + (row + 0.5) * cellSize;
+        return sampleDarknessAt(imageData, cu * ux + cv * vx, cu * uy + cv * vy, cellSize, imgWidth, imgHeight);
+    };
+
+    // Waveform height for a vertex: per-vertex darkness with a sampler, else the cell's
+    const vertexHeight = (cellDarkness, hx, hy) => {
+        let darkness = cellDarkness;
+        if (sampler) {
+            const p = toImage(hx, hy);
+            darkness = sampler(p.x, p.y);
+        }
+        const amplitude = darkness * maxAmplitude;
+        // Centered waveforms split the amplitude above and below the base line,
+        // capped so neighbouring rows never overlap
+        return centered ? Math.min(amplitude, scaledCellSize) / 2 : amplitude;
+    };
+
+    const sampleRow = row => {
+        const darkness = [];
+        for (let col = 0; col < numCols; col++) {
+            darkness.push(sampleCell(row, col));
+        }
+        const blank = findBlankCells(darkness, blankThreshold, minBlankCells);
+        darkness.forEach((d, col) => {
+            if (d === null) blank[col] = true;
+        });
+        return { darkness, blank };
+    };
+
+    const path = [];
+    
+    // Start at top-left
+    let currentX = 0;
+    let currentY = scaledCellSize / 2;
+
+    path.push(toOutput(currentX, currentY));
+
+    let { darkness: rowDarkness, blank: rowBlank } = sampleRow(0);
+
+    for (let row = 0; row < numRows; row++) {
+        const baseY = (row + 0.5) * scaledCellSize;
+        const goingRight = row % 2 === 0;
+
+        // Boustrophedon: even rows left to right, odd rows right to left
+        for (let i = 0; i < numCols; i++) {
+            const col = goingRight ? i : numCols - 1 - i;
+            const darkness = rowDarkness[col];
+
+            const cellStartX = col * scaledCellSize;
+            const cellEndX = Math.min((col + 1) * scaledCellSize, hatchWidth);
+            const fromX = goingRight ? cellStartX : cellEndX;
+            const toX = goingRight ? cellEndX : cellStartX;
+
+            if (rowBlank[col]) {
+                // Blank region: lift the pen and travel over it
+                pushTravel(path, toOutput(toX, baseY));
+                continue;
+            }
+
+            const cycles = maxCycles > 0 ? Math.round(darkness * maxCycles) : 1;
+            if (cycles === 0) {
+                // Too light for a single cycle: straight line across the cell
+                path.push(toOutput(toX, baseY));
+                continue;
+            }
+
+            for (let cycle = 0; cycle < cycles; cycle++) {
+                for (const [t, v] of shape) {
+                    const fraction = (cycle + t) / cycles;
+                    const hx = fromX + fraction * (toX - fromX);
+                    path.push(toOutput(hx, baseY - v * vertexHeight(darkness, hx, baseY)));
+                }
+            }
+        }
+
+        // Connect to next row (if not last row)
+        if (row < numRows - 1) {
+            ({ darkness: rowDarkness, blank: rowBlank } = sampleRow(row + 1));
+
+            const nextBaseY = (row + 1.5) * scaledCellSize;
+            // We're at the right edge going right, at the left edge otherwise; move down
+            const connector = toOutput(goingRight ? hatchWidth : 0, nextBaseY);
+            const nextRowStartsBlank = rowBlank[goingRight ? numCols - 1 : 0];
+
+            // Pen is up after a travel move, or when nothing has been drawn yet
+            const penUp = path.length === 1 || path[path.length - 1].travel;
+            if (penUp || nextRowStartsBlank) {
+                pushTravel(path, connector);
+            } else {
+                path.push(connector);
+            }
+        }
+
+        if (onProgress) onProgress(row + 1, numRows);
+    }
+
+    // Nothing left to draw after a trailing travel move
+    if (path.length > 1 && path[path.length - 1].travel) {
+        path.pop();
+    }
+
+    return { path, outputWidth, outputHeight, algorithm: 'Hatch Sawtooth Algorithm' };
+}
+
+/**
+ * Apply the sawtooth modulation along an arbitrary carrier curve.
+ *
+ * segments: [{ at, darkness, connector }] in drawing order, where at(t) gives the carrier
+ * point { x, y } and unit normal { nx, ny } at fraction t of the segment. Modulated cells
+ * are displaced along the normal; connector segments are drawn straight. Cells with null
+ * darkness (outside the image) and blank runs become travel moves. With vertexDarkness
+ * (carrier point => darkness) the height is sampled at every vertex instead of per cell.
+ */
+function modulateCarrier(segments, maxAmplitude, spacing, options = {}) {
+    const {
+        waveform = 'peak', maxCycles = 0, blankThreshold = 0, minBlankCells = 1,
+        clampWidth, clampHeight, vertexDarkness = null
+    } = options;
+    const shape = WAVEFORMS[waveform] || WAVEFORMS.peak;
+    const centered = shape !== WAVEFORMS.peak;
+    const point = (x, y) => ({
+        x: Math.max(0, Math.min(clampWidth, x)),
+        y: Math.max(0, Math.min(clampHeight, y))
+    });
+
+    // Blank runs are found over the modulated cells only; connectors follow their neighbours
+    const cellIndices = [];
+    segments.forEach((segment, i) => {
+        if (!segment.connector) cellIndices.push(i);
+    });
+    const cellBlank = findBlankCells(cellIndices.map(i => segments[i].darkness), blankThreshold, minBlankCells);
+    const blank = new Array(segments.length).fill(false);
+    cellIndices.forEach((segmentIndex, k) => {
+        blank[segmentIndex] = cellBlank[k] || segments[segmentIndex].darkness === null;
+    });
+
+    const start = segments[0].at(0);
+    const path = [point(start.x, start.y)];
+
+    segments.forEach((segment, i) => {
+        const end = segment.at(1);
+
+        if (blank[i]) {
+            pushTravel(path, point(end.x, end.y));
+            return;
+        }
+
+        if (segment.connector) {
+            const penUp = path.length === 1 || path[path.length - 1].travel;
+            if (penUp || blank[i + 1]) {
+                pushTravel(path, point(end.x, end.y));
+            } else {
+                path.push(point(end.x, end.y));
+            }
+            return;
+        }
+
+        const heightAt = p => {
+            const amplitude = (vertexDarkness ? vertexDarkness(p) : segment.darkness) * maxAmplitude;
+            return centered ? Math.min(amplitude, spacing) / 2 : amplitude;
+        };
+        const cycles = maxCycles > 0 ? Math.round(segment.darkness * maxCycles) : 1;
+        if (cycles === 0) {
+            path.push(point(end.x, end.y));
+            return;
+        }
+
+        for (let cycle = 0; cycle < cycles; cycle++) {
+            for (const [t, v] of shape) {
+                const p = segment.at((cycle + t) / cycles);
+                const height = heightAt(p);
+                // Positive displacement goes against the normal, like "up" on a raster row
+                path.push(point(p.x - p.nx * v * height, p.y - p.ny * v * height));
+            }
+        }
+    });
+
+    // Nothing left to draw after a trailing travel move
+    if (path.length > 1 && path[path.length - 1].travel) {
+        path.pop();
+    }
+
+    return path;
+}
+
+/**
+ * Generate a spiral or concentric-circle path from the image center.
+ * Turns are one cell apart; the sawtooth is applied perpendicular to the curve.
+ *
+ * Options: carrier ('spiral' for an Archimedean spiral, 'circles' for concentric
+ * circles joined by short radial connectors), plus the modulation and sampling options
+ * of generateHatchSawtoothPath (waveform, maxCycles, blankThreshold, minBlankCells,
+ * sampling, prefilter, onProgress; progress is counted in turns)
+ */
+function generateSpiralPath(imageData, imgWidth, imgHeight, cellSize, maxAmplitude, outputWidth, options = {}) {
+    const { carrier = 'spiral', onProgress = null } = options;
+
+    const scale = outputWidth / imgWidth;
+    const outputHeight = imgHeight * scale;
+    const spacing = cellSize * scale;
+    const centerX = outputWidth / 2;
+    const centerY = outputHeight / 2;
+    const maxRadius = Math.hypot(centerX, centerY) + spacing;
+    const turns = Math.ceil(maxRadius / spacing);
+
+    const sampler = getVertexSampler(imageData, imgWidth, imgHeight, options);
+    const inImage = p => p.x >= 0 && p.y >= 0 && p.x < outputWidth && p.y < outputHeight;
+    const darknessAt = sampler
+        ? p => (inImage(p) ? sampler(p.x / scale, p.y / scale) : null)
+        : p => sampleDarknessAt(imageData, p.x / scale, p.y / scale, cellSize, imgWidth, imgHeight);
+    const segments = [];
+
+    if (carrier === 'circles') {
+        const circlePoint = (radius, angle) => ({
+            x: centerX + radius * Math.cos(angle),
+            y: centerY + radius * Math.sin(angle),
+            nx: -Math.cos(angle),
+            ny: -Math.sin(angle)
+        });
+
+        for (let radius = spacing / 2; radius <= maxRadius; radius += spacing) {
+            const cells = Math.max(3, Math.round(2 * Math.PI * radius / spacing));
+            const step = 2 * Math.PI / cells;
+
+            if (segments.length > 0) {
+                const from = circlePoint(radius - spacing, 0);
+                const to = circlePoint(radius, 0);
+                segments.push({
+                    at: t => ({ ...from, x: from.x + t * (to.x - from.x), y: from.y + t * (to.y - from.y) }),
+                    darkness: null,
+                    connector: true
+                });
+            }
+
+            for (let cell = 0; cell < cells; cell++) {
+                const at = t => circlePoint(radius, (cell + t) * step);
+                segments.push({ at, darkness: darknessAt(at(0.5)) });
+            }
+            if (onProgress) onProgress(Math.min(turns, Math.round(radius / spacing + 0.5)), turns);
+        }
+    } else {
+        // Archimedean spiral r = a * theta, one cell of arc length per segment
+        const a = spacing / (2 * Math.PI);
+        const spiralPoint = theta => {
+            const cos = Math.cos(theta), sin = Math.sin(theta);
+            const tx = a * cos - a * theta * sin;
+            const ty = a * sin + a * theta * cos;
+            const length = Math.hypot(tx, ty);
+            return {
+                x: centerX + a * theta * cos,
+                y: centerY + a * theta * sin,
+                nx: -ty / length,
+                ny: tx / length
+            };
+        };
+
+        let theta = 0;
+        while (a * theta <= maxRadius) {
+            const step = Math.min(Math.PI / 4, spacing / Math.hypot(a * theta, a));
+            const from = theta;
+            const at = t => spiralPoint(from + t * step);
+            segments.push({ at, darkness: darknessAt(at(0.5)) });
+            // Report once per full turn
+            if (onProgress && Math.floor((theta + step) / (2 * Math.PI)) > Math.floor(theta / (2 * Math.PI))) {
+                onProgress(Math.min(turns, Math.floor((theta + step) / (2 * Math.PI))), turns);
+            }
+            theta += step;
+        }
+        if (onProgress) onProgress(turns, turns);
+    }
+
+    const path = modulateCarrier(segments, maxAmplitude, spacing, {
+        ...options,
+        clampWidth: outputWidth,
+        clampHeight: outputHeight,
+        vertexDarkness: sampler ? p => sampler(p.x / scale, p.y / scale) : null
+    });
+
+    const algorithm = carrier === 'circles' ? 'Concentric Circles Sawtooth Algorithm' : 'Spiral Sawtooth Algorithm';
+    return { path, outputWidth, outputHeight, algorithm };
+}
+
+/**
+ * Generate cross-hatching: one sawtooth layer per { angle, threshold }, joined by travel moves.
+ * Cells lighter than a layer's threshold (0-1) are skipped in that layer, so darker
+ * tones collect more crossing passes. options.onProgress counts the rows of all layers.
+ */
+function generateCrossHatchPath(imageData, imgWidth, imgHeight, cellSize, maxAmplitude, outputWidth, layers, options = {}) {
+    let result = null;
+    const sampler = getVertexSampler(imageData, imgWidth, imgHeight, options);
+
+    layers.forEach((layer, index) => {
+        // Each layer gets an equal share of the progress, whatever its row count
+        const onProgress = options.onProgress &&
+            ((done, total) => options.onProgress(index * total + done, layers.length * total));
+        const layerData = generateHatchSawtoothPath(imageData, imgWidth, imgHeight, cellSize, maxAmplitude, outputWidth, {
+            ...options,
+            sampler,
+            onProgress,
+            angle: layer.angle,
+            blankThreshold: Math.max(options.blankThreshold || 0, layer.threshold)
+        });
+        if (layerData.path.length < 2) return;
+
+        if (!result) {
+            result = layerData;
+        } else {
+            const [start, ...rest] = layerData.path;
+            result.path = result.path.concat([{ ...start, travel: true }], rest);
+        }
+    });
+
+    if (result && layers.length > 1) result.algorithm = 'Cross-Hatch Sawtooth Algorithm';
+    return result || {
+        path: [], outputWidth, outputHeight: imgHeight * outputWidth / imgWidth, algorithm: 'Hatch Sawtooth Algorithm'
+    };
+}
+
+/**
+ * Parse hatch layers written as "angle:threshold%" pairs, e.g. "0:0, 45:40, 90:70"
+ */
+function parseHatchLayers(text) {
+    const layers = [];
+    for (const entry of text.split(',')) {
+        const match = entry.trim().match(/^(-?[\d.]+)\s*(?::\s*([\d.]+)\s*%?)?$/);
+        if (!match) continue;
+        layers.push({
+            angle: parseFloat(match[1]),
+            threshold: Math.min(1, (parseFloat(match[2]) || 0) / 100)
+        });
+    }
+    return layers.length > 0 ? layers : [{ angle: 0, threshold: 0 }];
+}
+
+/**
+ * Join per-pen paths into one, marking where each pen's layer starts.
+ * The first point of every layer gets layerStart (its index in layers); later layers
+ * begin with a travel move. Empty layers are dropped.
+ */
+function mergePenLayers(layerPaths, pens) {
+    const path = [];
+    const layers = [];
+
+    layerPaths.forEach((layerData, index) => {
+        if (layerData.path.length < 2) return;
+        const [start, ...rest] = layerData.path;
+        const startPoint = { ...start, layerStart: layers.length };
+        if (path.length > 0) startPoint.travel = true;
+        path.push(startPoint);
+        for (const point of rest) path.push(point);
+        layers.push({ name: pens[index].name, color: pens[index].color });
+    });
+
+    const { outputWidth, outputHeight, algorithm } = layerPaths[0];
+    return { path, outputWidth, outputHeight, algorithm, layers };
+}
+
+/**
+ * Split a multi-pen path back into one path data per layer
+ */
+function splitPenLayers(pathData) {
+    const { path, layers } = pathData;
+    if (!layers) return [pathData];
+
+    const starts = [];
+    path.forEach((p, i) => {
+        if (p.layerStart !== undefined) starts.push(i);
+    });
+
+    return starts.map((start, index) => {
+        const end = index + 1 < starts.length ? starts[index + 1] : path.length;
+        const { travel, ...first } = path[start];
+        return {
+            ...pathData,
+            path: [{ ...first, layerStart: 0 }, ...path.slice(start + 1, end)],
+            layers: [layers[path[start].layerStart]]
+        };
+    });
+}
+
+/**
+ * Build the path data for an image generation job, one pen layer per color.
+ *
+ * job: { imageData ({ data, width, height } of the sampled image area), drawWidth (mm),
+ * cellSize, maxAmplitude, colorMode ('mono', 'cmyk' or 'palette'), palette (parsePalette
+ * result), tone (buildToneCurve settings), hatchLayers (parseHatchLayers result),
+ * carrier ('raster', 'spiral' or 'circles'), modulation (generateHatchSawtoothPath options) }
+ * onProgress is called with (done, total) as rows are finished, over all pens.
+ * Throws when the palette leaves no pen to draw with.
+ */
+function generateImagePathData(job, onProgress = null) {
+    const { imageData, drawWidth, cellSize, maxAmplitude, colorMode, carrier, modulation } = job;
+    const { width, height } = imageData;
+    const pens = colorMode === 'mono'
+        ? [{ name: 'black', color: '#000000', imageData }]
+        : separateColors(imageData, colorMode, job.palette);
+    const toneCurve = buildToneCurve(job.tone);
+
+    const layerPaths = pens.map((pen, index) => {
+        const penData = applyToneCurve(pen.imageData, toneCurve);
+        const options = {
+            ...modulation,
+            onProgress: onProgress && ((done, total) => onProgress(index * total + done, pens.length * total))
+        };
+        if (carrier === 'raster') {
+            return generateCrossHatchPath(
+                penData, width, height, cellSize, maxAmplitude, drawWidth, job.hatchLayers, options
+            );
+        }
+        return generateSpiralPath(
+            penData, width, height, cellSize, maxAmplitude, drawWidth, { ...options, carrier }
+        );
+    });
+
+    if (layerPaths.length === 0) {
+        throw new Error('The palette has no usable pen colors. Use entries like "black=#000000, red=#d62728".');
+    }
+
+    return includeOvershoot(colorMode === 'mono' ? layerPaths[0] : mergePenLayers(layerPaths, pens));
+}
+
+/**
+ * Grow the drawing to take in points that reach past its edges, like the peaks of
+ * the first row rising above the top, and move the path so the drawing starts at 0, 0
+ */
+function includeOvershoot(pathData) {
+    const { path, outputWidth, outputHeight } = pathData;
+    // A loop rather than Math.min(...xs): spreading a large path overflows the stack
+    let minX = 0, minY = 0, maxX = outputWidth, maxY = outputHeight;
+    for (const p of path) {
+        minX = Math.min(minX, p.x);
+        minY = Math.min(minY, p.y);
+        maxX = Math.max(maxX, p.x);
+        maxY = Math.max(maxY, p.y);
+    }
+    if (minX === 0 && minY === 0 && maxX === outputWidth && maxY === outputHeight) return pathData;
+
+    return {
+        ...pathData,
+        path: path.map(p => ({ ...p, x: p.x - minX, y: p.y - minY })),
+        outputWidth: maxX - minX,
+        outputHeight: maxY - minY
+    };
+}
+
+// Export functions for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getGrayscale,
+        getCellDarkness,
+        createDarknessSampler,
+        gaussianBlur,
+        buildToneCurve,
+        applyToneCurve,
+        computeHistogram,
+        generateHatchSawtoothPath,
+        findBlankCells,
+        generateCrossHatchPath,
+        sampleDarknessAt,
+        modulateCarrier,
+        generateSpiralPath,
+        generateImagePathData,
+        includeOvershoot,
+        parsePalette,
+        separateColors,
+        mergePenLayers,
+        splitPenLayers,
+        parseHatchLayers,
+        pushTravel,
+        WAVEFORMS
+    };
+}
@@ -0,0 +1,212 @@
+/**
+ * Path Optimizer
+ * Reorders the pen-down strokes of a path to cut pen-up travel
+ */
+
+// Stroke ends closer than this (mm) count as touching
+const TOUCH_TOLERANCE = 0.01;
+
+/**
+ * Split a path into strokes at travel moves and pen layer starts.
+ * Returns [{ points, layer }] with the travel and layerStart flags removed
+ * from the points; layer is the pen layer index (0 without layers).
+ */
+function splitStrokes(path) {
+    const strokes = [];
+    let layer = 0;
+    path.forEach((point, i) => {
+        const { travel, layerStart, ...rest } = point;
+        if (layerStart !== undefined) layer = layerStart;
+        if (i === 0 || travel || layerStart !== undefined) {
+            strokes.push({ points: [], layer });
+        }
+        strokes[strokes.length - 1].points.push(rest);
+    });
+    return strokes;
+}
+
+/**
+ * Join strokes back into a path: every stroke after the first starts with a
+ * travel move, and the first stroke of each pen layer carries layerStart when
+ * withLayers is set
+ */
+function joinStrokes(strokes, withLayers) {
+    const path = [];
+    let layer = -1;
+    strokes.forEach((stroke, index) => {
+        stroke.points.forEach((point, i) => {
+            if (i > 0) {
+                path.push(point);
+                return;
+            }
+            const first = { ...point };
+            if (index > 0) first.travel = true;
+            if (withLayers && stroke.layer !== layer) first.layerStart = stroke.layer;
+            path.push(first);
+        });
+        layer = stroke.layer;
+    });
+    return path;
+}
+
+/**
+ * Total length (mm) of the travel moves of a path
+ */
+function travelDistance(path) {
+    let total = 0;
+    for (let i = 1; i < path.length; i++) {
+        if (path[i].travel) {
+            total += Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+        }
+    }
+    return total;
+}
+
+/**
+ * Order strokes to shorten the travel between them, starting at start.
+ * Nearest neighbour picks the next stroke from either end (reversing it when its
+ * last point is closer), then 2-opt reverses runs of strokes while that shortens
+ * the travel, until no run helps or timeLimit (ms) is spent. Strokes nearest
+ * neighbour has not reached when the time is up keep their original order.
+ */
+function optimizeStrokeOrder(strokes, start = { x: 0, y: 0 }, timeLimit = 2000) {
+    if (strokes.length < 2) return strokes.slice();
+    const deadline = Date.now() + timeLimit;
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+    // Nearest neighbour: order entries are { stroke, reversed }
+    const remaining = new Set(strokes.keys());
+    const order = [];
+    let pen = start;
+    while (remaining.size > 0) {
+        if (Date.now() >= deadline) {
+            for (const index of remaining) order.push({ stroke: index, reversed: false });
+            break;
+        }
+        let best = -1, bestDistance = Infinity, bestReversed = false;
+        for (const index of remaining) {
+            const points = strokes[index].points;
+            const head = distance(pen, points[0]);
+            const tail = distance(pen, points[points.length - 1]);
+            if (head < bestDistance) {
+                best = index;
+                bestDistance = head;
+                bestReversed = false;
+            }
+            if (tail < bestDistance) {
+                best = index;
+                bestDistance = tail;
+                bestReversed = true;
+            }
+        }
+        remaining.delete(best);
+        order.push({ stroke: best, reversed: bestReversed });
+        const points = strokes[best].points;
+        pen = bestReversed ? points[0] : points[points.length - 1];
+    }
+
+    const first = entry => {
+        const points = strokes[entry.stroke].points;
+        return entry.reversed ? points[points.length - 1] : points[0];
+    };
+    const last = entry => {
+        const points = strokes[entry.stroke].points;
+        return entry.reversed ? points[0] : points[points.length - 1];
+    };
+
+    // 2-opt: reversing order[i..j] also flips each stroke in it
+    let improved = true;
+    while (improved && Date.now() < deadline) {
+        improved = false;
+        for (let i = 0; i < order.length - 1 && Date.now() < deadline; i++) {
+            const before = i === 0 ? start : last(order[i - 1]);
+            for (let j = i + 1; j < order.length; j++) {
+                const after = j + 1 < order.length ? first(order[j + 1]) : null;
+                const current = distance(before, first(order[i])) + (after ? distance(last(order[j]), after) : 0);
+                const swapped = distance(before, last(order[j])) + (after ? distance(first(order[i]), after) : 0);
+                if (swapped < current - 1e-9) {
+                    const run = order.slice(i, j + 1).reverse()
+                        .map(entry => ({ stroke: entry.stroke, reversed: !entry.reversed }));
+                    order.splice(i, run.length, ...run);
+                    improved = true;
+                }
+            }
+        }
+    }
+
+    return order.map(entry => {
+        const stroke = strokes[entry.stroke];
+        return entry.reversed ? { ...stroke, points: stroke.points.slice().reverse() } : stroke;
+    });
+}
+
+/**
+ * Join consecutive strokes whose ends touch, dropping the pen lift between them
+ */
+function mergeTouchingStrokes(strokes) {
+    const merged = [];
+    for (const stroke of strokes) {
+        const previous = merged[merged.length - 1];
+        if (previous && previous.layer === stroke.layer) {
+            const end = previous.points[previous.points.length - 1];
+            const start = stroke.points[0];
+            if (Math.hypot(end.x - start.x, end.y - start.y) <= TOUCH_TOLERANCE) {
+                previous.points = previous.points.concat(stroke.points.slice(1));
+                continue;
+            }
+        }
+        merged.push({ ...stroke, points: stroke.points.slice() });
+    }
+    return merged;
+}
+
+/**
+ * Reorder the strokes of pathData within each pen layer (the layer order is kept).
+ * The path must not contain fitted arcs yet, since strokes may be reversed.
+ *
+ * Options: mergeTouching (join strokes whose ends touch), start (machine
+ * position before the first stroke, default the origin), timeLimit (ms for 2-opt)
+ * Returns { pathData, travelBefore, travelAfter } with travel in mm.
+ */
+function optimizePathData(pathData, options = {}) {
+    const { mergeTouching = false, start = { x: 0, y: 0 }, timeLimit = 2000 } = options;
+    const strokes = splitStrokes(pathData.path);
+    const travelBefore = travelDistance(pathData.path) + (pathData.path.length > 0
+        ? Math.hypot(pathData.path[0].x - start.x, pathData.path[0].y - start.y)
+        : 0);
+
+    // Each layer continues from where the previous one ended
+    const layerIndices = [...new Set(strokes.map(stroke => stroke.layer))];
+    let ordered = [];
+    let pen = start;
+    for (const layer of layerIndices) {
+        const layerStrokes = optimizeStrokeOrder(
+            strokes.filter(stroke => stroke.layer === layer),
+            pen,
+            timeLimit / layerIndices.length
+        );
+        ordered = ordered.concat(layerStrokes);
+        const lastStroke = layerStrokes[layerStrokes.length - 1];
+        pen = lastStroke.points[lastStroke.points.length - 1];
+    }
+    if (mergeTouching) ordered = mergeTouchingStrokes(ordered);
+
+    const path = joinStrokes(ordered, Boolean(pathData.layers));
+    const travelAfter = travelDistance(path) + (path.length > 0
+        ? Math.hypot(path[0].x - start.x, path[0].y - start.y)
+        : 0);
+
+    return { pathData: { ...pathData, path }, travelBefore, travelAfter };
+}
+
+// Export functions for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        splitStrokes,
+        joinStrokes,
+        travelDistance,
+        optimizeStrokeOrder,
+        mergeTouchingStrokes,
+        optimizePathData
+    };
+}
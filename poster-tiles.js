@@ -0,0 +1,208 @@
+/**
+ * Poster Tiles
+ * Splits a drawing larger than the paper into a grid of overlapping sheet-sized tiles
+ */
+
+// Arm length (mm) of the registration crosshairs
+const REGISTRATION_MARK_SIZE = 5;
+
+/**
+ * Grid of tiles covering a width x height drawing. Neighbouring tiles share overlap mm.
+ * Returns [{ row, col, x, y, width, height }] in drawing coordinates, row by row.
+ */
+function computeTileGrid(width, height, tileWidth, tileHeight, overlap = 0) {
+    if (tileWidth <= 0 || tileHeight <= 0) {
+        throw new Error('Tiles need a positive width and height.');
+    }
+    if (overlap < 0 || overlap >= tileWidth || overlap >= tileHeight) {
+        throw new Error('The tile overlap must be smaller than the tile size.');
+    }
+
+    const stepX = tileWidth - overlap;
+    const stepY = tileHeight - overlap;
+    const cols = Math.max(1, Math.ceil((width - overlap) / stepX - 1e-9));
+    const rows = Math.max(1, Math.ceil((height - overlap) / stepY - 1e-9));
+
+    const tiles = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            tiles.push({ row, col, x: col * stepX, y: row * stepY, width: tileWidth, height: tileHeight });
+        }
+    }
+    return tiles;
+}
+
+/**
+ * Parameter range [t0, t1] of segment a->b inside rect (Liang-Barsky), or null.
+ * edge0/edge1 name the border ('left', 'right', 'top', 'bottom') the segment is cut
+ * at, or are null where an end lies inside.
+ */
+function clipSegment(a, b, rect) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    let t0 = 0, t1 = 1;
+    let edge0 = null, edge1 = null;
+    const edges = [
+        [-dx, a.x - rect.x, 'left'],
+        [dx, rect.x + rect.width - a.x, 'right'],
+        [-dy, a.y - rect.y, 'top'],
+        [dy, rect.y + rect.height - a.y, 'bottom']
+    ];
+    for (const [p, q, edge] of edges) {
+        if (p === 0) {
+            if (q < 0) return null;
+            continue;
+        }
+        const t = q / p;
+        if (p < 0) {
+            if (t > t1) return null;
+            if (t > t0) {
+                t0 = t;
+                edge0 = edge;
+            }
+        } else {
+            if (t < t0) return null;
+            if (t < t1) {
+                t1 = t;
+                edge1 = edge;
+            }
+        }
+    }
+    return { t0, t1, edge0, edge1 };
+}
+
+/**
+ * Clip a path to rect. Drawn segments crossing the border are cut exactly at it,
+ * with the intersection points added; the parts outside are dropped and the pen
+ * travels to where the path comes back in. Pen layers keep their layerStart on the
+ * first point drawn in the rect (still indexing the original layers).
+ */
+function clipPathToRect(path, rect) {
+    const clipped = [];
+    let layer = path.length > 0 && path[0].layerStart !== undefined ? path[0].layerStart : null;
+    let clippedLayer = null;
+    let penLifted = true;
+
+    // Intersection point, put exactly on the border it lies on
+    const cut = (a, b, t, edge) => {
+        const point = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+        if (edge === 'left') point.x = rect.x;
+        if (edge === 'right') point.x = rect.x + rect.width;
+        if (edge === 'top') point.y = rect.y;
+        if (edge === 'bottom') point.y = rect.y + rect.height;
+        return point;
+    };
+    const same = (a, b) => Math.abs(a.x - b.x) < 1e-9 && Math.abs(a.y - b.y) < 1e-9;
+
+    for (let i = 1; i < path.length; i++) {
+        const from = path[i - 1];
+        const to = path[i];
+        if (to.layerStart !== undefined) layer = to.layerStart;
+        if (to.travel) {
+            penLifted = true;
+            continue;
+        }
+
+        const range = clipSegment(from, to, rect);
+        if (!range) {
+            penLifted = true;
+            continue;
+        }
+        const start = range.edge0 ? cut(from, to, range.t0, range.edge0) : { x: from.x, y: from.y };
+        const end = range.edge1 ? cut(from, to, range.t1, range.edge1) : { x: to.x, y: to.y };
+
+        const last = clipped[clipped.length - 1];
+        if (penLifted || !last || !same(last, start)) {
+            const first = { ...start };
+            if (clipped.length > 0) first.travel = true;
+            if (layer !== null && layer !== clippedLayer) {
+                first.layerStart = layer;
+                clippedLayer = layer;
+            }
+            clipped.push(first);
+        }
+        if (!same(start, end)) clipped.push(end);
+        penLifted = range.edge1 !== null;
+    }
+
+    // A lone start point draws nothing
+    return clipped.length < 2 ? [] : clipped;
+}
+
+/**
+ * Crosshair strokes at the registration points of a tile grid, clipped to rect.
+ * Registration points sit in the middle of every overlap strip, so each one is drawn
+ * on all tiles that share it and the sheets line up by laying the marks on top of
+ * each other. Returns a path whose every stroke starts with a travel move.
+ */
+function registrationMarks(grid, overlap, rect, size = REGISTRATION_MARK_SIZE) {
+    const xs = [...new Set(grid.map(tile => tile.x))].map(x => x + overlap / 2);
+    const ys = [...new Set(grid.map(tile => tile.y))].map(y => y + overlap / 2);
+    const last = grid[grid.length - 1];
+    xs.push(last.x + last.width - overlap / 2);
+    ys.push(last.y + last.height - overlap / 2);
+
+    const marks = [];
+    for (const y of ys) {
+        for (const x of xs) {
+            if (x < rect.x || x > rect.x + rect.width || y < rect.y || y > rect.y + rect.height) continue;
+            for (const [from, to] of [
+                [{ x: x - size, y }, { x: x + size, y }],
+                [{ x, y: y - size }, { x, y: y + size }]
+            ]) {
+                const stroke = clipPathToRect([from, to], rect);
+                if (stroke.length === 0) continue;
+                marks.push({ ...stroke[0], travel: true }, ...stroke.slice(1));
+            }
+        }
+    }
+    return marks;
+}
+
+/**
+ * Split path data (drawing coordinates, Y down) into tiles.
+ *
+ * Options: tileWidth, tileHeight (mm, e.g. the printable area of the sheet), overlap (mm
+ * shared by neighbouring tiles), marks (add registration crosshairs, default true),
+ * markSize (crosshair arm length in mm)
+ * Returns [{ row, col, x, y, pathData }] where each pathData is tile-sized with its
+ * top-left corner at the origin. Tiles with nothing to draw are left out.
+ */
+function splitIntoTiles(pathData, options = {}) {
+    const { tileWidth, tileHeight, overlap = 0, marks = true, markSize = REGISTRATION_MARK_SIZE } = options;
+    const grid = computeTileGrid(pathData.outputWidth, pathData.outputHeight, tileWidth, tileHeight, overlap);
+
+    const tiles = [];
+    for (const rect of grid) {
+        let path = clipPathToRect(pathData.path, rect);
+        if (path.length === 0) continue;
+        if (marks) path = path.concat(registrationMarks(grid, overlap, rect, markSize));
+
+        // Only the pens used on this tile, renumbered
+        let layers;
+        if (pathData.layers) {
+            const used = [...new Set(path.filter(p => p.layerStart !== undefined).map(p => p.layerStart))];
+            layers = used.map(index => pathData.layers[index]);
+            path = path.map(p => (p.layerStart === undefined ? p : { ...p, layerStart: used.indexOf(p.layerStart) }));
+        }
+
+        const local = path.map(p => ({ ...p, x: p.x - rect.x, y: p.y - rect.y }));
+        const tilePathData = { path: local, outputWidth: tileWidth, outputHeight: tileHeight };
+        if (pathData.algorithm) tilePathData.algorithm = pathData.algorithm;
+        if (layers) tilePathData.layers = layers;
+        tiles.push({ row: rect.row, col: rect.col, x: rect.x, y: rect.y, pathData: tilePathData });
+    }
+    return tiles;
+}
+
+// Export functions for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        computeTileGrid,
+        clipSegment,
+        clipPathToRect,
+        registrationMarks,
+        splitIntoTiles,
+        REGISTRATION_MARK_SIZE
+    };
+}
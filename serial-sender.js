@@ -0,0 +1,252 @@
+/**
+ * Serial Sender
+ * Streams G-code to a GRBL controller over Web Serial with character-counting flow control
+ */
+
+// GRBL's serial receive buffer; lines in flight may not add up to more than this
+const GRBL_RX_BUFFER_SIZE = 128;
+
+// Realtime commands, acted on at once and not counted against the buffer
+const GRBL_FEED_HOLD = '!';
+const GRBL_CYCLE_START = '~';
+const GRBL_SOFT_RESET = '\x18';
+
+const GRBL_ERRORS = {
+    1: 'G-code words consist of a letter and a value. Letter was not found.',
+    2: 'Numeric value format is not valid or missing an expected value.',
+    3: 'Grbl \'$\' system command was not recognized or supported.',
+    8: 'Grbl \'$\' command cannot be used unless Grbl is IDLE.',
+    9: 'G-code locked out during alarm or jog state.',
+    15: 'Jog target exceeds machine travel.',
+    20: 'Unsupported or invalid g-code command found in block.',
+    22: 'Feed rate has not yet been set or is undefined.',
+    24: 'Two G-code commands that both require the use of the XYZ axis words were detected in the block.',
+    33: 'Motion command has an invalid target.'
+};
+
+const GRBL_ALARMS = {
+    1: 'Hard limit triggered. Machine position is likely lost due to sudden and immediate halt.',
+    2: 'G-code motion target exceeds machine travel.',
+    3: 'Reset while in motion. Machine position is likely lost.',
+    8: 'Homing fail. Pull-off cycle failed to clear the limit switch.',
+    9: 'Homing fail. Could not find the limit switch within the search distance.'
+};
+
+/**
+ * Stream G-code to GRBL through a transport ({ write(text) } returning a promise).
+ * Received lines must be passed to receive(); every "ok" or "error:N" answers the
+ * oldest line in flight, and new lines are only sent while they fit in GRBL's buffer.
+ *
+ * Options: bufferSize (default GRBL_RX_BUFFER_SIZE), stopOnError (stop streaming at the
+ * first error:N, default true), onProgress(acknowledged, total), onMessage(text) for
+ * other controller output. Stopping on an error, an alarm or abort() soft-resets the controller.
+ * Returns { start(gcode), receive(line), pause(), resume(), abort(), disconnect(), getStatus() };
+ * start resolves to { status, acknowledged, total, errors, alarm } with status 'done',
+ * 'error', 'alarm', 'aborted' or 'disconnected'.
+ */
+function createGrblSender(transport, options = {}) {
+    const { bufferSize = GRBL_RX_BUFFER_SIZE, stopOnError = true, onProgress = null, onMessage = null } = options;
+    let commands = [];
+    let nextIndex = 0;
+    let inFlight = [];
+    let bufferUsed = 0;
+    let acknowledged = 0;
+    let state = 'idle';
+    let errors = [];
+    let alarm = null;
+    let finish = null;
+
+    const end = status => {
+        if (state !== 'running' && state !== 'paused') return;
+        state = status;
+        if (finish) finish({ status, acknowledged, total: commands.length, errors, alarm });
+    };
+
+    const write = text => {
+        Promise.resolve(transport.write(text)).catch(() => end('disconnected'));
+    };
+
+    // A soft reset makes GRBL drop the lines still in its buffer, so none of them
+    // answers into the next job
+    const stop = status => {
+        if (state !== 'running' && state !== 'paused') return;
+        write(GRBL_SOFT_RESET);
+        end(status);
+    };
+
+    // Send as many lines as fit in the controller's buffer
+    const pump = () => {
+        while (state === 'running' && nextIndex < commands.length &&
+            bufferUsed + commands[nextIndex].text.length + 1 <= bufferSize) {
+            const command = commands[nextIndex++];
+            inFlight.push(command);
+            bufferUsed += command.text.length + 1;
+            write(command.text + '\n');
+        }
+        if (state === 'running' && nextIndex >= commands.length && inFlight.length === 0) end('done');
+    };
+
+    return {
+        start(gcode) {
+            if (state === 'running' || state === 'paused') {
+                return Promise.reject(new Error('A job is already being sent.'));
+            }
+            // Comments and blank lines would only use up buffer space
+            commands = parseGCode(gcode).map(command => ({ text: command.code, line: command.line }));
+            const tooLong = commands.find(command => command.text.length + 1 > bufferSize);
+            if (tooLong) {
+                return Promise.reject(new Error(`Line ${tooLong.line} is longer than the controller's ${bufferSize} byte buffer.`));
+            }
+            nextIndex = 0;
+            inFlight = [];
+            bufferUsed = 0;
+            acknowledged = 0;
+            errors = [];
+            alarm = null;
+            state = 'running';
+
+            const done = new Promise(resolve => { finish = resolve; });
+            if (onProgress) onProgress(0, commands.length);
+            pump();
+            return done;
+        },
+
+        receive(rawLine) {
+            const line = rawLine.trim();
+            if (line === '') return;
+
+            const alarmMatch = line.match(/^ALARM:(\d+)/);
+            if (alarmMatch) {
+                alarm = { code: parseInt(alarmMatch[1]), message: GRBL_ALARMS[alarmMatch[1]] || line };
+                if (onMessage) onMessage(line);
+                stop('alarm');
+                return;
+            }
+
+            const errorMatch = line.match(/^error:(\d+)/);
+            if (line !== 'ok' && !errorMatch) {
+                if (onMessage) onMessage(line);
+                return;
+            }
+
+            const active = state === 'running' || state === 'paused';
+            const command = active ? inFlight.shift() : null;
+            if (!command) {
+                // An answer to something sent outside a running job, e.g. a jog command
+                if (onMessage) onMessage(line);
+                return;
+            }
+            bufferUsed -= command.text.length + 1;
+            acknowledged++;
+            if (onProgress) onProgress(acknowledged, commands.length);
+
+            if (errorMatch) {
+                const code = parseInt(errorMatch[1]);
+                errors.push({ line: command.line, code, message: GRBL_ERRORS[code] || `Error ${code}` });
+                if (onMessage) onMessage(`${line} on line ${command.line}: ${command.text}`);
+                if (stopOnError) {
+                    stop('error');
+                    return;
+                }
+            }
+            pump();
+        },
+
+        pause() {
+            if (state !== 'running') return;
+            state = 'paused';
+            write(GRBL_FEED_HOLD);
+        },
+
+        resume() {
+            if (state !== 'paused') return;
+            state = 'running';
+            write(GRBL_CYCLE_START);
+            pump();
+        },
+
+        abort() {
+            stop('aborted');
+        },
+
+        // The transport went away; nothing more will be acknowledged
+        disconnect() {
+            end('disconnected');
+        },
+
+        getStatus() {
+            return { state, acknowledged, sent: nextIndex, total: commands.length, bufferUsed };
+        }
+    };
+}
+
+/**
+ * GRBL jog command moving by dx/dy mm relative to the current position
+ */
+function grblJogCommand(dx, dy, feedRate) {
+    const words = [];
+    if (dx) words.push(`X${dx.toFixed(3)}`);
+    if (dy) words.push(`Y${dy.toFixed(3)}`);
+    return `$J=G91 G21 ${words.join(' ')} F${feedRate}`;
+}
+
+/**
+ * Ask the user for a serial port and open it. onLine receives every line the
+ * controller sends, without its line ending. onClose(error) is called when the port
+ * stops reading without close() being called, e.g. when the cable is unplugged.
+ * Returns { write(text), close() }.
+ */
+async function openSerialTransport(baudRate, onLine, onClose = null) {
+    const port = await navigator.serial.requestPort();
+    await port.open({ baudRate });
+
+    const encoder = new TextEncoder();
+    const writer = port.writable.getWriter();
+    const decoder = new TextDecoderStream();
+    const readableClosed = port.readable.pipeTo(decoder.writable).catch(() => {});
+    const reader = decoder.readable.getReader();
+    let closing = false;
+
+    const reading = (async () => {
+        let pending = '';
+        let failure = null;
+        try {
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                pending += value;
+                const lines = pending.split(/\r?\n/);
+                pending = lines.pop();
+                lines.forEach(onLine);
+            }
+        } catch (error) {
+            // The port was unplugged or closed
+            failure = error;
+        }
+        if (!closing && onClose) onClose(failure || new Error('The serial port was closed.'));
+    })();
+
+    return {
+        write: text => writer.write(encoder.encode(text)),
+        async close() {
+            closing = true;
+            await reader.cancel().catch(() => {});
+            await reading;
+            await readableClosed;
+            writer.releaseLock();
+            await port.close();
+        }
+    };
+}
+
+// Export functions for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createGrblSender,
+        openSerialTransport,
+        grblJogCommand,
+        GRBL_RX_BUFFER_SIZE,
+        GRBL_ERRORS,
+        GRBL_ALARMS
+    };
+}
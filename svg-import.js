@@ -0,0 +1,501 @@
+/**
+ * SVG Import
+ * Flattens vector artwork into pen strokes for the G-code writer
+ */
+
+// Millimeters per unit of SVG lengths; unitless lengths are CSS pixels
+const SVG_UNIT_MM = {
+    '': 25.4 / 96,
+    px: 25.4 / 96,
+    pt: 25.4 / 72,
+    pc: 25.4 / 6,
+    mm: 1,
+    cm: 10,
+    in: 25.4
+};
+
+// Elements whose children are never drawn directly
+const SVG_SKIPPED_ELEMENTS = ['defs', 'clipPath', 'mask', 'symbol', 'marker', 'pattern', 'metadata', 'title', 'desc', 'style', 'script'];
+
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Length in mm of an SVG length such as "210mm" or "800", or null if unparseable
+ */
+function parseSvgLength(value) {
+    const match = /^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*(px|pt|pc|mm|cm|in)?\s*$/i.exec(value || '');
+    if (!match) return null;
+    return parseFloat(match[1]) * SVG_UNIT_MM[(match[2] || '').toLowerCase()];
+}
+
+/**
+ * Affine matrices are [a, b, c, d, e, f] as in SVG: x' = a x + c y + e, y' = b x + d y + f
+ */
+function multiplyMatrix(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+}
+
+function applyMatrix(m, point) {
+    return {
+        x: m[0] * point.x + m[2] * point.y + m[4],
+        y: m[1] * point.x + m[3] * point.y + m[5]
+    };
+}
+
+/**
+ * Matrix of an SVG transform attribute (matrix, translate, scale, rotate, skewX, skewY)
+ */
+function parseTransform(text) {
+    let matrix = IDENTITY_MATRIX;
+    for (const [, name, args] of (text || '').matchAll(/(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g)) {
+        const v = (args.match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || []).map(parseFloat);
+        let next = IDENTITY_MATRIX;
+        if (name === 'matrix' && v.length === 6) {
+            next = v;
+        } else if (name === 'translate') {
+            next = [1, 0, 0, 1, v[0] || 0, v[1] || 0];
+        } else if (name === 'scale') {
+            const sx = v.length > 0 ? v[0] : 1;
+            next = [sx, 0, 0, v.length > 1 ? v[1] : sx, 0, 0];
+        } else if (name === 'rotate') {
+            const angle = (v[0] || 0) * Math.PI / 180;
+            const cos = Math.cos(angle), sin = Math.sin(angle);
+            const [cx, cy] = [v[1] || 0, v[2] || 0];
+            next = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+        } else if (name === 'skewX') {
+            next = [1, 0, Math.tan((v[0] || 0) * Math.PI / 180), 1, 0, 0];
+        } else if (name === 'skewY') {
+            next = [1, Math.tan((v[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+        }
+        matrix = multiplyMatrix(matrix, next);
+    }
+    return matrix;
+}
+
+/**
+ * Parse SVG path data into subpaths of absolute line and cubic segments:
+ * [{ start, segments: [{ to } | { c1, c2, to }], closed }].
+ * Quadratic curves and elliptical arcs are converted to cubics.
+ */
+function parsePathData(d) {
+    const tokens = (d || '').match(/[MLHVCSQTAZ]|[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+    const subpaths = [];
+    let current = null;
+    let point = { x: 0, y: 0 };
+    let lastControl = null;
+    let lastCommand = '';
+    let index = 0;
+    let command = '';
+
+    const hasNumber = () => index < tokens.length && !/^[A-Z]$/i.test(tokens[index]);
+    // Arc flags may be written without separators, e.g. "a1 1 0 00 1 1"
+    const flag = () => {
+        const token = tokens[index];
+        if (token.length > 1 && /^[01]/.test(token)) {
+            tokens[index] = token.slice(1);
+            return token[0] === '1';
+        }
+        index++;
+        return token === '1';
+    };
+    const number = () => parseFloat(tokens[index++]);
+    const coordinate = relative => {
+        const x = number();
+        const y = number();
+        return relative ? { x: point.x + x, y: point.y + y } : { x, y };
+    };
+    const lineTo = to => {
+        current.segments.push({ to });
+        point = to;
+    };
+    const cubicTo = (c1, c2, to) => {
+        current.segments.push({ c1, c2, to });
+        lastControl = c2;
+        point = to;
+    };
+
+    while (index < tokens.length) {
+        if (/^[A-Z]$/i.test(tokens[index])) {
+            command = tokens[index++];
+        } else if (!command) {
+            break;
+        }
+        const relative = command === command.toLowerCase();
+        const type = command.toUpperCase();
+
+        if (type === 'Z') {
+            if (current) {
+                if (point.x !== current.start.x || point.y !== current.start.y) lineTo(current.start);
+                current.closed = true;
+                point = current.start;
+                current = null;
+            }
+            lastCommand = 'Z';
+            // Numbers cannot follow a close path
+            if (hasNumber()) break;
+            continue;
+        }
+        if (!hasNumber()) break;
+
+        if (type === 'M') {
+            point = coordinate(relative);
+            current = { start: point, segments: [], closed: false };
+            subpaths.push(current);
+            // Further coordinate pairs are implicit line-tos
+            command = relative ? 'l' : 'L';
+            lastCommand = 'M';
+            continue;
+        }
+        if (!current) {
+            current = { start: point, segments: [], closed: false };
+            subpaths.push(current);
+        }
+
+        if (type === 'L') {
+            lineTo(coordinate(relative));
+        } else if (type === 'H') {
+            const x = number();
+            lineTo({ x: relative ? point.x + x : x, y: point.y });
+        } else if (type === 'V') {
+            const y = number();
+            lineTo({ x: point.x, y: relative ? point.y + y : y });
+        } else if (type === 'C') {
+            cubicTo(coordinate(relative), coordinate(relative), coordinate(relative));
+        } else if (type === 'S') {
+            const c1 = (lastCommand === 'C' || lastCommand === 'S') && lastControl
+                ? { x: 2 * point.x - lastControl.x, y: 2 * point.y - lastControl.y }
+                : point;
+            cubicTo(c1, coordinate(relative), coordinate(relative));
+        } else if (type === 'Q' || type === 'T') {
+            const from = point;
+            const control = type === 'Q'
+                ? coordinate(relative)
+                : ((lastCommand === 'Q' || lastCommand === 'T') && lastControl
+                    ? { x: 2 * from.x - lastControl.x, y: 2 * from.y - lastControl.y }
+                    : from);
+            const to = coordinate(relative);
+            cubicTo(
+                { x: from.x + 2 / 3 * (control.x - from.x), y: from.y + 2 / 3 * (control.y - from.y) },
+                { x: to.x + 2 / 3 * (control.x - to.x), y: to.y + 2 / 3 * (control.y - to.y) },
+                to
+            );
+            // Reflection for T uses the quadratic control point
+            lastControl = control;
+        } else if (type === 'A') {
+            const rx = number();
+            const ry = number();
+            const rotation = number();
+            const largeArc = flag();
+            const sweep = flag();
+            const to = coordinate(relative);
+            arcToCubics(point, rx, ry, rotation, largeArc, sweep, to)
+                .forEach(([c1, c2, end]) => cubicTo(c1, c2, end));
+            point = to;
+        } else {
+            // Unknown command letter: stop rather than misread the rest
+            break;
+        }
+        lastCommand = type;
+    }
+
+    return subpaths;
+}
+
+/**
+ * Cubic Bézier segments [c1, c2, to] for an SVG elliptical arc
+ * (endpoint to center parameterization as in the SVG implementation notes)
+ */
+function arcToCubics(from, rx, ry, rotation, largeArc, sweep, to) {
+    if (from.x === to.x && from.y === to.y) return [];
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0) return [[from, to, to]];
+
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi), sin = Math.sin(phi);
+    const dx = (from.x - to.x) / 2, dy = (from.y - to.y) / 2;
+    const x1 = cos * dx + sin * dy;
+    const y1 = -sin * dx + cos * dy;
+
+    // Scale up radii that are too small to reach the end point
+    const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+    const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+    const factor = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+    const cx1 = factor * rx * y1 / ry;
+    const cy1 = -factor * ry * x1 / rx;
+    const cx = cos * cx1 - sin * cy1 + (from.x + to.x) / 2;
+    const cy = sin * cx1 + cos * cy1 + (from.y + to.y) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const startAngle = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+    let delta = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    // At most a quarter turn per cubic
+    const count = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9));
+    const step = delta / count;
+    const k = 4 / 3 * Math.tan(step / 4);
+    const ellipsePoint = theta => ({
+        x: cx + rx * Math.cos(theta) * cos - ry * Math.sin(theta) * sin,
+        y: cy + rx * Math.cos(theta) * sin + ry * Math.sin(theta) * cos
+    });
+    const derivative = theta => ({
+        x: -rx * Math.sin(theta) * cos - ry * Math.cos(theta) * sin,
+        y: -rx * Math.sin(theta) * sin + ry * Math.cos(theta) * cos
+    });
+
+    const cubics = [];
+    for (let i = 0; i < count; i++) {
+        const a = startAngle + i * step;
+        const b = a + step;
+        const p0 = ellipsePoint(a), p1 = ellipsePoint(b);
+        const d0 = derivative(a), d1 = derivative(b);
+        cubics.push([
+            { x: p0.x + k * d0.x, y: p0.y + k * d0.y },
+            { x: p1.x - k * d1.x, y: p1.y - k * d1.y },
+            i === count - 1 ? to : p1
+        ]);
+    }
+    return cubics;
+}
+
+/**
+ * Path data equivalent of a basic shape element, or null for other elements
+ */
+function shapeToPathData(element) {
+    const number = name => parseFloat(element.getAttribute(name)) || 0;
+    const points = () => (element.getAttribute('points') || '')
+        .match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+
+    switch (element.tagName.toLowerCase()) {
+        case 'path':
+            return element.getAttribute('d') || '';
+        case 'line':
+            return `M ${number('x1')} ${number('y1')} L ${number('x2')} ${number('y2')}`;
+        case 'polyline':
+        case 'polygon': {
+            // An x without its y at the end is dropped, as browsers do
+            const values = points();
+            const count = values.length - values.length % 2;
+            if (count < 4) return '';
+            return `M ${values.slice(0, count).join(' ')}${element.tagName.toLowerCase() === 'polygon' ? ' Z' : ''}`;
+        }
+        case 'rect': {
+            const x = number('x'), y = number('y');
+            const width = number('width'), height = number('height');
+            if (width <= 0 || height <= 0) return '';
+            // A missing rx or ry takes the other's value; both are capped at half the side
+            let rx = element.hasAttribute('rx') ? number('rx') : number('ry');
+            let ry = element.hasAttribute('ry') ? number('ry') : rx;
+            rx = Math.min(rx, width / 2);
+            ry = Math.min(ry, height / 2);
+            if (rx <= 0 || ry <= 0) {
+                return `M ${x} ${y} H ${x + width} V ${y + height} H ${x} Z`;
+            }
+            return `M ${x + rx} ${y} H ${x + width - rx} A ${rx} ${ry} 0 0 1 ${x + width} ${y + ry} ` +
+                `V ${y + height - ry} A ${rx} ${ry} 0 0 1 ${x + width - rx} ${y + height} ` +
+                `H ${x + rx} A ${rx} ${ry} 0 0 1 ${x} ${y + height - ry} ` +
+                `V ${y + ry} A ${rx} ${ry} 0 0 1 ${x + rx} ${y} Z`;
+        }
+        case 'circle':
+        case 'ellipse': {
+            const cx = number('cx'), cy = number('cy');
+            const rx = element.tagName.toLowerCase() === 'circle' ? number('r') : number('rx');
+            const ry = element.tagName.toLowerCase() === 'circle' ? number('r') : number('ry');
+            if (rx <= 0 || ry <= 0) return '';
+            return `M ${cx + rx} ${cy} A ${rx} ${ry} 0 1 1 ${cx - rx} ${cy} A ${rx} ${ry} 0 1 1 ${cx + rx} ${cy} Z`;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Points of a subpath after the transform, with cubics subdivided until their
+ * control points lie within tolerance of the chord
+ */
+function flattenSubpath(subpath, matrix, tolerance) {
+    const points = [applyMatrix(matrix, subpath.start)];
+    let from = points[0];
+
+    const flattenCubic = (p0, p1, p2, p3, depth) => {
+        const dx = p3.x - p0.x, dy = p3.y - p0.y;
+        const length = Math.hypot(dx, dy);
+        const distance = p => (length === 0
+            ? Math.hypot(p.x - p0.x, p.y - p0.y)
+            : Math.abs((p.x - p0.x) * dy - (p.y - p0.y) * dx) / length);
+        if (depth >= 16 || Math.max(distance(p1), distance(p2)) <= tolerance) {
+            points.push(p3);
+            return;
+        }
+        // de Casteljau split at t = 0.5
+        const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+        const p01 = mid(p0, p1), p12 = mid(p1, p2), p23 = mid(p2, p3);
+        const p012 = mid(p01, p12), p123 = mid(p12, p23);
+        const center = mid(p012, p123);
+        flattenCubic(p0, p01, p012, center, depth + 1);
+        flattenCubic(center, p123, p23, p3, depth + 1);
+    };
+
+    for (const segment of subpath.segments) {
+        const to = applyMatrix(matrix, segment.to);
+        if (segment.c1) {
+            flattenCubic(from, applyMatrix(matrix, segment.c1), applyMatrix(matrix, segment.c2), to, 0);
+        } else {
+            points.push(to);
+        }
+        from = to;
+    }
+    return points;
+}
+
+/**
+ * Whether an element is hidden with display="none" or visibility hidden
+ */
+function isHiddenSvgElement(element) {
+    const style = element.getAttribute('style') || '';
+    return element.getAttribute('display') === 'none' ||
+        element.getAttribute('visibility') === 'hidden' ||
+        /(^|;)\s*display\s*:\s*none/.test(style) ||
+        /(^|;)\s*visibility\s*:\s*hidden/.test(style);
+}
+
+/**
+ * Matrix mapping viewBox user units onto a width x height mm viewport, following
+ * preserveAspectRatio: "none" stretches each axis, otherwise the scale is uniform
+ * (meet fits the viewBox inside, slice covers the viewport) and the alignment
+ * (default xMidYMid) places it
+ */
+function viewBoxMatrix(viewBox, width, height, preserveAspectRatio) {
+    const [minX, minY, boxWidth, boxHeight] = viewBox;
+    const [align = 'xMidYMid', meetOrSlice = 'meet'] = (preserveAspectRatio || '')
+        .trim().replace(/^defer\s+/, '').split(/\s+/).filter(Boolean);
+    let scaleX = width / boxWidth;
+    let scaleY = height / boxHeight;
+    let offsetX = 0, offsetY = 0;
+    if (align !== 'none') {
+        const scale = meetOrSlice === 'slice' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+        scaleX = scaleY = scale;
+        const spareX = width - boxWidth * scale;
+        const spareY = height - boxHeight * scale;
+        offsetX = align.includes('xMid') ? spareX / 2 : (align.includes('xMax') ? spareX : 0);
+        offsetY = align.includes('YMid') ? spareY / 2 : (align.includes('YMax') ? spareY : 0);
+    }
+    return multiplyMatrix(
+        [scaleX, 0, 0, scaleY, offsetX, offsetY],
+        [1, 0, 0, 1, -minX, -minY]
+    );
+}
+
+/**
+ * Import SVG text as pen strokes in mm.
+ * The document size comes from the root width/height (mm, cm, in, pt, pc or px)
+ * and viewBox, placed with preserveAspectRatio; nested transforms are applied to
+ * every shape.
+ *
+ * Options: tolerance (largest distance in mm between a curve and its flattened
+ * strokes, default 0.1), width (scale the document to this width in mm)
+ * Returns { strokes: [[{ x, y }, ...]], width, height } with y pointing down.
+ */
+function importSvg(text, options = {}) {
+    const { tolerance = 0.1 } = options;
+    const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+    const root = doc.documentElement;
+    if (!root || root.tagName.toLowerCase() !== 'svg' || doc.querySelector('parsererror')) {
+        throw new Error('The file is not a valid SVG document.');
+    }
+
+    // User units to mm from the viewBox and the document size
+    const viewBox = (root.getAttribute('viewBox') || '').split(/[\s,]+/).map(parseFloat);
+    const hasViewBox = viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0;
+    let width = parseSvgLength(root.getAttribute('width'));
+    let height = parseSvgLength(root.getAttribute('height'));
+    if (hasViewBox) {
+        if (width === null && height === null) {
+            width = viewBox[2] * SVG_UNIT_MM.px;
+            height = viewBox[3] * SVG_UNIT_MM.px;
+        } else if (width === null) {
+            width = height * viewBox[2] / viewBox[3];
+        } else if (height === null) {
+            height = width * viewBox[3] / viewBox[2];
+        }
+    } else {
+        width = width === null ? 300 * SVG_UNIT_MM.px : width;
+        height = height === null ? 150 * SVG_UNIT_MM.px : height;
+    }
+
+    let rootMatrix = hasViewBox
+        ? viewBoxMatrix(viewBox, width, height, root.getAttribute('preserveAspectRatio'))
+        : [SVG_UNIT_MM.px, 0, 0, SVG_UNIT_MM.px, 0, 0];
+    if (options.width > 0) {
+        const scale = options.width / width;
+        rootMatrix = multiplyMatrix([scale, 0, 0, scale, 0, 0], rootMatrix);
+        width *= scale;
+        height *= scale;
+    }
+
+    const strokes = [];
+    const walk = (element, matrix) => {
+        const tag = element.tagName;
+        if (SVG_SKIPPED_ELEMENTS.includes(tag) || isHiddenSvgElement(element)) return;
+
+        const local = element === root ? matrix : multiplyMatrix(matrix, parseTransform(element.getAttribute('transform')));
+        const d = shapeToPathData(element);
+        if (d) {
+            for (const subpath of parsePathData(d)) {
+                const points = flattenSubpath(subpath, local, tolerance);
+                if (points.length >= 2) strokes.push(points);
+            }
+        }
+        for (const child of element.children) {
+            walk(child, local);
+        }
+    };
+    walk(root, rootMatrix);
+
+    return { strokes, width, height };
+}
+
+/**
+ * Path data with one pen-down stroke after another, joined by travel moves
+ */
+function strokesToPathData(strokes, outputWidth, outputHeight) {
+    const path = [];
+    strokes.forEach((stroke, index) => {
+        stroke.forEach((point, i) => {
+            path.push(i === 0 && index > 0 ? { x: point.x, y: point.y, travel: true } : { x: point.x, y: point.y });
+        });
+    });
+    return { path, outputWidth, outputHeight, algorithm: 'SVG Import' };
+}
+
+// Export functions for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseSvgLength,
+        parseTransform,
+        multiplyMatrix,
+        applyMatrix,
+        parsePathData,
+        arcToCubics,
+        shapeToPathData,
+        flattenSubpath,
+        viewBoxMatrix,
+        importSvg,
+        strokesToPathData
+    };
+}
@@ -3,6 +3,23 @@ const { test, expect } = require('@playwright/test');
 const path = require('path');
 const fs = require('fs');
 
+/**
+ * PNG bytes of a canvas drawn in the page: draw(arg) runs in the browser and
+ * returns the canvas
+ */
+async function canvasPng(page, draw, arg) {
+  const handle = await page.evaluateHandle(draw, arg);
+  const base64 = await handle.evaluate(canvas => new Promise((resolve) => {
+    canvas.toBlob((blob) => {
+      const reader = new FileReader();
+      reader.onloadend = () => resolve(reader.result.split(',')[1]);
+      reader.readAsDataURL(blob);
+    }, 'image/png');
+  }));
+  await handle.dispose();
+  return Buffer.from(base64, 'base64');
+}
+
 // Test image path - we'll download the test image before running tests
 const TEST_IMAGE_URL = 'https://upload.wikimedia.org/wikipedia/commons/thumb/e/e8/West_Virginia_Mountaineers_logo.svg/511px-West_Virginia_Mountaineers_logo.svg.png';
 
@@ -29,7 +46,7 @@ test.describe('Pen Plotter G-Code Generator', () => {
 
   test('image upload functionality', async ({ page }) => {
     // Create a simple test image using canvas
-    const imageBuffer = await page.evaluate(async () => {
+    const imageBuffer = await canvasPng(page, () => {
       const canvas = document.createElement('canvas');
       canvas.width = 100;
       canvas.height = 100;
@@ -40,28 +57,15 @@ test.describe('Pen Plotter G-Code Generator', () => {
       ctx.fillRect(0, 0, 100, 100);
       ctx.fillStyle = 'black';
       ctx.fillRect(25, 25, 50, 50);
-      
-      // Convert to blob and then to base64
-      return new Promise((resolve) => {
-        canvas.toBlob((blob) => {
-          const reader = new FileReader();
-          reader.onloadend = () => {
-            const base64 = reader.result.split(',')[1];
-            resolve(base64);
-          };
-          reader.readAsDataURL(blob);
-        }, 'image/png');
-      });
+
+      return canvas;
     });
 
-    // Create file from base64
-    const buffer = Buffer.from(imageBuffer, 'base64');
-    
     // Upload the image using setInputFiles with buffer
     await page.locator('#imageInput').setInputFiles({
       name: 'test-image.png',
       mimeType: 'image/png',
-      buffer: buffer
+      buffer: imageBuffer
     });
 
     // Wait for image to load and check that generate button is enabled
@@ -76,7 +80,7 @@ test.describe('Pen Plotter G-Code Generator', () => {
 
   test('G-Code generation with simple image', async ({ page }) => {
     // Create a simple test image
-    const imageBuffer = await page.evaluate(async () => {
+    const imageBuffer = await canvasPng(page, () => {
       const canvas = document.createElement('canvas');
       canvas.width = 50;
       canvas.height = 50;
@@ -88,25 +92,14 @@ test.describe('Pen Plotter G-Code Generator', () => {
       ctx.fillStyle = 'black';
       ctx.fillRect(0, 0, 25, 25);
       ctx.fillRect(25, 25, 25, 25);
-      
-      return new Promise((resolve) => {
-        canvas.toBlob((blob) => {
-          const reader = new FileReader();
-          reader.onloadend = () => {
-            const base64 = reader.result.split(',')[1];
-            resolve(base64);
-          };
-          reader.readAsDataURL(blob);
-        }, 'image/png');
-      });
+
+      return canvas;
     });
 
-    const buffer = Buffer.from(imageBuffer, 'base64');
-    
     await page.locator('#imageInput').setInputFiles({
       name: 'test.png',
       mimeType: 'image/png',
-      buffer: buffer
+      buffer: imageBuffer
     });
 
     await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
@@ -136,27 +129,21 @@ test.describe('Pen Plotter G-Code Generator', () => {
 
   test('G-Code has no pen lifts during drawing (continuous path)', async ({ page }) => {
     // Create a test image
-    const imageBuffer = await page.evaluate(async () => {
+    const imageBuffer = await canvasPng(page, () => {
       const canvas = document.createElement('canvas');
       canvas.width = 30;
       canvas.height = 30;
       const ctx = canvas.getContext('2d');
       ctx.fillStyle = 'gray';
       ctx.fillRect(0, 0, 30, 30);
-      
-      return new Promise((resolve) => {
-        canvas.toBlob((blob) => {
-          const reader = new FileReader();
-          reader.onloadend = () => resolve(reader.result.split(',')[1]);
-          reader.readAsDataURL(blob);
-        }, 'image/png');
-      });
+
+      return canvas;
     });
 
     await page.locator('#imageInput').setInputFiles({
       name: 'test.png',
       mimeType: 'image/png',
-      buffer: Buffer.from(imageBuffer, 'base64')
+      buffer: imageBuffer
     });
 
     await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
@@ -195,27 +182,21 @@ test.describe('Pen Plotter G-Code Generator', () => {
   });
 
   test('download button creates file', async ({ page }) => {
-    const imageBuffer = await page.evaluate(async () => {
+    const imageBuffer = await canvasPng(page, () => {
       const canvas = document.createElement('canvas');
       canvas.width = 20;
       canvas.height = 20;
       const ctx = canvas.getContext('2d');
       ctx.fillStyle = 'black';
       ctx.fillRect(0, 0, 20, 20);
-      
-      return new Promise((resolve) => {
-        canvas.toBlob((blob) => {
-          const reader = new FileReader();
-          reader.onloadend = () => resolve(reader.result.split(',')[1]);
-          reader.readAsDataURL(blob);
-        }, 'image/png');
-      });
+
+      return canvas;
     });
 
     await page.locator('#imageInput').setInputFiles({
       name: 'test.png',
       mimeType: 'image/png',
-      buffer: Buffer.from(imageBuffer, 'base64')
+      buffer: imageBuffer
     });
 
     await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
@@ -226,32 +207,26 @@ test.describe('Pen Plotter G-Code Generator', () => {
     await page.locator('#downloadBtn').click();
     const download = await downloadPromise;
     
-    // Check download details
-    expect(download.suggestedFilename()).toBe('drawing.gcode');
+    // Check download details: named after the uploaded file
+    expect(download.suggestedFilename()).toBe('test.gcode');
   });
 
   test('settings affect output', async ({ page }) => {
-    const imageBuffer = await page.evaluate(async () => {
+    const imageBuffer = await canvasPng(page, () => {
       const canvas = document.createElement('canvas');
       canvas.width = 50;
       canvas.height = 50;
       const ctx = canvas.getContext('2d');
       ctx.fillStyle = 'gray';
       ctx.fillRect(0, 0, 50, 50);
-      
-      return new Promise((resolve) => {
-        canvas.toBlob((blob) => {
-          const reader = new FileReader();
-          reader.onloadend = () => resolve(reader.result.split(',')[1]);
-          reader.readAsDataURL(blob);
-        }, 'image/png');
-      });
+
+      return canvas;
     });
 
     await page.locator('#imageInput').setInputFiles({
       name: 'test.png',
       mimeType: 'image/png',
-      buffer: Buffer.from(imageBuffer, 'base64')
+      buffer: imageBuffer
     });
 
     await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
@@ -268,4 +243,1091 @@ test.describe('Pen Plotter G-Code Generator', () => {
     // G-Codes should be different
     expect(gcode1).not.toBe(gcode2);
   });
+
+  test('machine profile sets pen commands and persists', async ({ page }) => {
+    const imageBuffer = await canvasPng(page, () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 20;
+      canvas.height = 20;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = 'gray';
+      ctx.fillRect(0, 0, 20, 20);
+
+      return canvas;
+    });
+
+    await page.locator('#imageInput').setInputFiles({
+      name: 'test.png',
+      mimeType: 'image/png',
+      buffer: imageBuffer
+    });
+
+    await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
+    
+    // Marlin servo profile with dwell in milliseconds
+    await page.locator('#machineProfile').selectOption('marlin');
+    await page.locator('#generateBtn').click();
+    let gcodeText = await page.locator('#gcodeOutput').inputValue();
+    expect(gcodeText).toContain('M280 P0 S30 ; Pen down');
+    expect(gcodeText).toContain('M280 P0 S90 ; Pen up');
+    expect(gcodeText).toContain('G4 P200');
+    expect(gcodeText).not.toContain('M3 ; Pen down');
+
+    // Custom profile with templated header
+    await page.locator('#machineProfile').selectOption('custom');
+    await page.locator('#penDownCommand').fill('G1 Z-1 F200');
+    await page.locator('#penUpCommand').fill('G0 Z3');
+    await page.locator('#headerTemplate').fill('G21\nG90\n; Size {width} x {height}');
+    await page.locator('#generateBtn').click();
+    gcodeText = await page.locator('#gcodeOutput').inputValue();
+    expect(gcodeText).toContain('G1 Z-1 F200');
+    expect(gcodeText).toContain('G0 Z3');
+    expect(gcodeText).toContain('; Size 100.000 x 100.000');
+
+    // Selection and custom commands survive a reload
+    await page.reload();
+    await expect(page.locator('#machineProfile')).toHaveValue('custom');
+    await expect(page.locator('#penDownCommand')).toHaveValue('G1 Z-1 F200');
+  });
+
+  test('feed rate settings control draw, travel and corner feeds', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      // Sharp zigzag: every interior vertex is a reversal-like turn
+      const pathData = {
+        path: [
+          { x: 0, y: 5 }, { x: 5, y: 0 }, { x: 10, y: 5 }, { x: 15, y: 5 }, { x: 20, y: 5 }
+        ],
+        outputWidth: 20,
+        outputHeight: 10
+      };
+      return {
+        gcode: generateGCodeFromPath(pathData, {
+          feedRate: 1200,
+          travelFeedRate: 4000,
+          minCornerFeedRate: 300
+        }),
+        // Older callers pass the draw feed rate as a number
+        legacy: generateGCodeFromPath(pathData, 1500)
+      };
+    });
+    const gcodeText = result.gcode;
+
+    expect(result.legacy).toContain('G1 F1500');
+    expect(gcodeText).toContain('G0 X0.000 Y5.000 F4000');
+    expect(gcodeText).toContain('G1 F1200');
+
+    const feeds = gcodeText.split('\n')
+      .filter(line => line.startsWith('G1 X'))
+      .map(line => line.match(/F(\d+)/))
+      .filter(Boolean)
+      .map(match => parseInt(match[1]));
+
+    // Turns slow the feed down; the straight tail gets back to full speed
+    expect(Math.min(...feeds)).toBeLessThan(1200);
+    expect(Math.min(...feeds)).toBeGreaterThanOrEqual(300);
+    expect(feeds[feeds.length - 1]).toBe(1200);
+  });
+
+  test('drawing that leaves the bed is refused, fitting to paper recovers', async ({ page }) => {
+    // Tall image: 100 mm wide comes out 400 mm high
+    const imageBuffer = await canvasPng(page, () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 20;
+      canvas.height = 80;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = 'gray';
+      ctx.fillRect(0, 0, 20, 80);
+
+      return canvas;
+    });
+
+    await page.locator('#imageInput').setInputFiles({
+      name: 'tall.png',
+      mimeType: 'image/png',
+      buffer: imageBuffer
+    });
+
+    await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
+    await page.locator('#bedWidth').fill('300');
+    await page.locator('#bedHeight').fill('300');
+    await page.locator('#generateBtn').click();
+
+    await expect(page.locator('#errorMessage')).toBeVisible();
+    await expect(page.locator('#errorMessage')).toContainText('outside the machine work area');
+    await expect(page.locator('#gcodeSection')).toBeHidden();
+
+    // A4 with margins, fitted: the drawing shrinks onto the sheet
+    await page.locator('#paperSize').selectOption('A4');
+    await page.locator('#paperMargin').fill('10');
+    await page.locator('#fitMode').selectOption('fit');
+    await page.locator('#generateBtn').click();
+
+    await expect(page.locator('#errorMessage')).toBeHidden();
+    await expect(page.locator('#gcodeSection')).toBeVisible();
+    await expect(page.locator('#svgContainer svg .paper-outline')).toHaveAttribute('width', '210.000');
+
+    const gcodeText = await page.locator('#gcodeOutput').inputValue();
+    const points = gcodeText.split('\n')
+      .map(line => line.match(/G[01]\s+X([\d.-]+)\s+Y([\d.-]+)/))
+      .filter(Boolean)
+      .map(match => ({ x: parseFloat(match[1]), y: parseFloat(match[2]) }));
+    for (const p of points) {
+      expect(p.x).toBeGreaterThanOrEqual(0);
+      expect(p.x).toBeLessThanOrEqual(210);
+      expect(p.y).toBeGreaterThanOrEqual(0);
+      expect(p.y).toBeLessThanOrEqual(297);
+    }
+  });
+
+  test('blank regions become pen-up travel moves', async ({ page }) => {
+    // Black bars at both sides with a wide white gap in between
+    const imageBuffer = await canvasPng(page, () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 50;
+      canvas.height = 50;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = 'white';
+      ctx.fillRect(0, 0, 50, 50);
+      ctx.fillStyle = 'black';
+      ctx.fillRect(0, 0, 10, 50);
+      ctx.fillRect(40, 0, 10, 50);
+
+      return canvas;
+    });
+
+    await page.locator('#imageInput').setInputFiles({
+      name: 'bars.png',
+      mimeType: 'image/png',
+      buffer: imageBuffer
+    });
+
+    await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
+    await page.locator('#cellSize').fill('5');
+    await page.locator('#liftBlankAreas').check();
+    await page.locator('#minBlankCells').fill('3');
+    await page.locator('#generateBtn').click();
+
+    const gcodeText = await page.locator('#gcodeOutput').inputValue();
+    const lines = gcodeText.split('\n').map(l => l.trim());
+
+    // One pen lift per row across the white gap
+    const penDowns = lines.filter(l => l === 'M3 ; Pen down').length;
+    expect(penDowns).toBe(11);
+
+    // Every travel in the drawing (plus the move to the start) is a G0 between a pen up
+    // and a pen down; the footer's return to the origin comes after "; End of drawing"
+    const drawingLines = lines.slice(0, lines.indexOf('; End of drawing'));
+    const travels = drawingLines.filter((line, i) => i > 0 && line.startsWith('G0 X') && drawingLines[i - 1] === 'M5 ; Pen up');
+    expect(travels.length).toBe(penDowns);
+    drawingLines.forEach((line, i) => {
+      if (i > 0 && line.startsWith('G0 X') && drawingLines[i - 1] === 'M5 ; Pen up' && drawingLines[i + 1]) {
+        expect(drawingLines[i + 1]).toBe('M3 ; Pen down');
+      }
+    });
+
+    // No drawing moves cross the white gap
+    const drawnInGap = lines
+      .map(l => l.match(/^G1 X([\d.-]+) Y([\d.-]+)/))
+      .filter(Boolean)
+      .filter(m => parseFloat(m[1]) > 25 && parseFloat(m[1]) < 75);
+    expect(drawnInGap.length).toBe(0);
+
+    await expect(page.locator('#svgContainer svg path.travel-moves')).toBeAttached();
+  });
+
+  test('palette separation plots one layer per pen with pen changes', async ({ page }) => {
+    // Red left half, blue right half
+    const imageBuffer = await canvasPng(page, () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 40;
+      canvas.height = 20;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#ff0000';
+      ctx.fillRect(0, 0, 20, 20);
+      ctx.fillStyle = '#0000ff';
+      ctx.fillRect(20, 0, 20, 20);
+
+      return canvas;
+    });
+
+    await page.locator('#imageInput').setInputFiles({
+      name: 'colors.png',
+      mimeType: 'image/png',
+      buffer: imageBuffer
+    });
+
+    await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
+    await page.locator('#colorMode').selectOption('palette');
+    await page.locator('#palette').fill('red=#ff0000, blue=#0000ff');
+    await page.locator('#liftBlankAreas').check();
+    await page.locator('#generateBtn').click();
+
+    const gcodeText = await page.locator('#gcodeOutput').inputValue();
+    expect(gcodeText).toContain('; Pens: red, blue');
+    expect(gcodeText.indexOf('M0 ; Load pen: red')).toBeGreaterThan(-1);
+    expect(gcodeText.indexOf('M0 ; Load pen: blue')).toBeGreaterThan(gcodeText.indexOf('M0 ; Load pen: red'));
+
+    // One colored path per pen, each toggleable
+    const layerPaths = page.locator('#svgContainer svg path.layer-path');
+    await expect(layerPaths).toHaveCount(2);
+    await expect(layerPaths.nth(0)).toHaveAttribute('stroke', '#ff0000');
+    await page.locator('#layerControls input[data-layer="1"]').uncheck();
+    await expect(layerPaths.nth(1)).toBeHidden();
+
+    // Each layer downloads on its own
+    const downloadPromise = page.waitForEvent('download');
+    await page.locator('#layerControls .layer-download-btn').nth(1).click();
+    const download = await downloadPromise;
+    expect(download.suggestedFilename()).toBe('colors-2-blue.gcode');
+  });
+
+  test('optimization shrinks the G-code and reports the saving', async ({ page }) => {
+    // Mostly white image: flat rows collapse into long straight moves
+    const imageBuffer = await canvasPng(page, () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 50;
+      canvas.height = 50;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = 'white';
+      ctx.fillRect(0, 0, 50, 50);
+      ctx.fillStyle = 'black';
+      ctx.fillRect(20, 20, 10, 10);
+
+      return canvas;
+    });
+
+    await page.locator('#imageInput').setInputFiles({
+      name: 'square.png',
+      mimeType: 'image/png',
+      buffer: imageBuffer
+    });
+    await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
+    await page.locator('#simplifyTolerance').fill('0.05');
+    await page.locator('#coordinatePrecision').fill('2');
+    await page.locator('#omitUnchangedAxes').check();
+    await page.locator('#generateBtn').click();
+
+    const gcodeText = await page.locator('#gcodeOutput').inputValue();
+    const moves = gcodeText.split('\n').filter(line => /^G1 [XY]/.test(line));
+    // Two decimals, and moves along a row only repeat the changed axis
+    expect(moves.every(line => !/\.\d{3}/.test(line))).toBe(true);
+    expect(moves.some(line => /^G1 X[\d.]+$/.test(line))).toBe(true);
+
+    const report = await page.locator('#optimizationReport').textContent();
+    const match = report.match(/Before optimization: (\d+) lines.*After: (\d+) lines/);
+    expect(match).not.toBeNull();
+    expect(parseInt(match[2])).toBeLessThan(parseInt(match[1]));
+    expect(parseInt(match[2])).toBe(gcodeText.split('\n').length);
+  });
+
+  test('plot statistics estimate lengths and time', async ({ page }) => {
+    const stats = await page.evaluate(() => {
+      // Two 100 mm passes joined by a 10 mm travel move
+      const pathData = {
+        path: [
+          { x: 0, y: 0 }, { x: 50, y: 0 }, { x: 100, y: 0 },
+          { x: 100, y: 10, travel: true }, { x: 0, y: 10 }
+        ],
+        outputWidth: 100,
+        outputHeight: 10
+      };
+      return {
+        accelerated: computePathStats(pathData, { feedRate: 600, acceleration: 100 }),
+        constant: computePathStats(pathData, { feedRate: 600, acceleration: 0 })
+      };
+    });
+
+    expect(stats.accelerated.drawnLength).toBeCloseTo(200);
+    expect(stats.accelerated.travelLength).toBeCloseTo(10);
+    expect(stats.accelerated.penLifts).toBe(1);
+    expect(stats.accelerated.segments).toBe(3);
+    // 10 mm/s cruise; every stroke ramps up and down at 100 mm/s², straight through the middle point
+    expect(stats.constant.duration).toBeCloseTo(21);
+    expect(stats.accelerated.duration).toBeCloseTo(21.3);
+
+    // The UI shows the same summary and writes it into the G-code header
+    const imageBuffer = await canvasPng(page, () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 30;
+      canvas.height = 30;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = 'gray';
+      ctx.fillRect(0, 0, 30, 30);
+
+      return canvas;
+    });
+
+    await page.locator('#imageInput').setInputFiles({
+      name: 'gray.png',
+      mimeType: 'image/png',
+      buffer: imageBuffer
+    });
+    await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
+    await page.locator('#generateBtn').click();
+
+    await expect(page.locator('#statsPanel dd[data-stat="Estimated time"]')).toHaveText(/^\d+:\d{2}:\d{2}$/);
+    await expect(page.locator('#statsPanel dd[data-stat="Pen lifts"]')).toHaveText('0');
+    const gcodeText = await page.locator('#gcodeOutput').inputValue();
+    expect(gcodeText).toMatch(/^; Drawn length: [\d.]+ mm in \d+ segments, travel: 0\.0 mm$/m);
+    expect(gcodeText).toMatch(/^; Estimated time: \d+:\d{2}:\d{2} \(acceleration 500 mm\/s²\)$/m);
+  });
+
+  test('simulator replays the emitted G-code', async ({ page }) => {
+    const replay = await page.evaluate(() => {
+      const { moves } = simulateGCode([
+        'G21',
+        'G90',
+        'G0 X10 Y0',
+        'M3 ; Pen down',
+        'G1 X20 F600',
+        'G2 X30 Y0 I5 J0',
+        'M5 ; Pen up',
+        'G91',
+        'G0 X-5 Y5',
+        'G20',
+        'G90',
+        'G1 X1 Y1'
+      ].join('\n'));
+
+      const arc = moves.filter(move => move.line === 6);
+      const top = arc.reduce((best, move) => (move.to.y > best.y ? move.to : best), { y: -Infinity });
+      return {
+        first: moves[0],
+        straight: moves[1],
+        arcTop: top,
+        relative: moves.find(move => move.line === 9).to,
+        inches: moves[moves.length - 1]
+      };
+    });
+
+    expect(replay.first.penDown).toBe(false);
+    expect(replay.first.rapid).toBe(true);
+    // 10 mm at 600 mm/min with the pen down
+    expect(replay.straight.penDown).toBe(true);
+    expect(replay.straight.duration).toBeCloseTo(1);
+    // Clockwise arc around (25, 0) passes over the top
+    expect(replay.arcTop.x).toBeCloseTo(25, 0);
+    expect(replay.arcTop.y).toBeCloseTo(5, 1);
+    expect(replay.relative).toEqual({ x: 25, y: 5 });
+    expect(replay.inches.to.x).toBeCloseTo(25.4);
+    expect(replay.inches.penDown).toBe(false);
+
+    // Generated output can be scrubbed to the end
+    const imageBuffer = await canvasPng(page, () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 20;
+      canvas.height = 20;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = 'black';
+      ctx.fillRect(0, 0, 20, 20);
+
+      return canvas;
+    });
+
+    await page.locator('#imageInput').setInputFiles({
+      name: 'black.png',
+      mimeType: 'image/png',
+      buffer: imageBuffer
+    });
+    await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
+    await page.locator('#generateBtn').click();
+
+    await expect(page.locator('#simulatorSection')).toBeVisible();
+    await expect(page.locator('#simStatus')).toContainText('Line 0');
+
+    const gcodeText = await page.locator('#gcodeOutput').inputValue();
+    const lines = gcodeText.split('\n');
+    const lastMove = lines.map((line, index) => (/^G[0-3] X/.test(line) ? index + 1 : 0))
+      .reduce((a, b) => Math.max(a, b));
+
+    await page.locator('#simScrub').fill('1000');
+    await expect(page.locator('#simStatus')).toContainText(`Line ${lastMove},`);
+
+    await page.locator('#simPlayBtn').click();
+    await expect(page.locator('#simPlayBtn')).toHaveText('Pause');
+  });
+
+  test('large images generate in the background with progress and cancel', async ({ page }) => {
+    const imageBuffer = await canvasPng(page, () => {
+      // Above the background generation size
+      const canvas = document.createElement('canvas');
+      canvas.width = 1200;
+      canvas.height = 1000;
+      const ctx = canvas.getContext('2d');
+      const gradient = ctx.createLinearGradient(0, 0, 1200, 0);
+      gradient.addColorStop(0, 'black');
+      gradient.addColorStop(1, 'white');
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, 1200, 1000);
+
+      return canvas;
+    });
+
+    await page.locator('#imageInput').setInputFiles({
+      name: 'large.png',
+      mimeType: 'image/png',
+      buffer: imageBuffer
+    });
+    await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
+
+    // A fine grid takes long enough to cancel
+    await page.locator('#cellSize').fill('2');
+    await page.locator('#generateBtn').click();
+    await expect(page.locator('#generateProgress')).toBeVisible();
+    await expect(page.locator('#generateBtn')).toBeDisabled();
+    await page.locator('#cancelBtn').click();
+
+    await expect(page.locator('#generateProgress')).toBeHidden();
+    await expect(page.locator('#generateBtn')).toBeEnabled();
+    await expect(page.locator('#gcodeSection')).toBeHidden();
+
+    await page.locator('#cellSize').fill('20');
+    await page.locator('#generateBtn').click();
+    await expect(page.locator('#gcodeSection')).toBeVisible({ timeout: 10000 });
+    await expect(page.locator('#generateProgress')).toBeHidden();
+
+    const gcodeText = await page.locator('#gcodeOutput').inputValue();
+    expect(gcodeText.split('\n').filter(line => line.trim() === 'M3 ; Pen down').length).toBe(1);
+    // 50 rows of 60 cells, one continuous zigzag
+    expect(await page.locator('#svgContainer svg path').count()).toBe(1);
+  });
+
+  test('stroke ordering and G-code writing run in the worker', async ({ page }) => {
+    // Black bars with a white gap: one stroke per bar and row to order
+    const imageBuffer = await canvasPng(page, () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 50;
+      canvas.height = 50;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = 'white';
+      ctx.fillRect(0, 0, 50, 50);
+      ctx.fillStyle = 'black';
+      ctx.fillRect(0, 0, 10, 50);
+      ctx.fillRect(40, 0, 10, 50);
+
+      return canvas;
+    });
+
+    await page.locator('#imageInput').setInputFiles({
+      name: 'bars.png',
+      mimeType: 'image/png',
+      buffer: imageBuffer
+    });
+    await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
+    await page.locator('#liftBlankAreas').check();
+    await page.locator('#optimizeOrder').check();
+    await page.locator('#simplifyTolerance').fill('0.05');
+    await page.locator('#generateBtn').click();
+
+    await expect(page.locator('#gcodeSection')).toBeVisible({ timeout: 10000 });
+    await expect(page.locator('#generateProgress')).toBeHidden();
+    await expect(page.locator('#travelReport')).toContainText('Pen-up travel:');
+    await expect(page.locator('#optimizationReport')).toContainText('Before optimization:');
+
+    // The worker writes the same G-code the page would
+    const expected = await page.evaluate(() => {
+      const generation = readGenerationSettings();
+      const { outputWidth, printableWidth, printableHeight, fitMode } = generation.area;
+      const imagePathData = generateImagePathData(buildImageJob(outputWidth, printableWidth, printableHeight, fitMode));
+      return buildDrawingOutput(imagePathData, generation).gcode;
+    });
+    const withoutDate = gcode => gcode.replace(/^; Generated: .*$/m, '');
+    const gcodeText = await page.locator('#gcodeOutput').inputValue();
+    expect(withoutDate(gcodeText)).toBe(withoutDate(expected));
+  });
+
+  test('large images at default settings stay inside the work area', async ({ page }) => {
+    const imageBuffer = await canvasPng(page, () => {
+      // Cells far smaller than the amplitude: first-row peaks would reach above Y0
+      const canvas = document.createElement('canvas');
+      canvas.width = 1000;
+      canvas.height = 800;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#333';
+      ctx.fillRect(0, 0, 1000, 800);
+
+      return canvas;
+    });
+
+    await page.locator('#imageInput').setInputFiles({
+      name: 'large.png',
+      mimeType: 'image/png',
+      buffer: imageBuffer
+    });
+    await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
+    await page.locator('#generateBtn').click();
+
+    await expect(page.locator('#gcodeSection')).toBeVisible({ timeout: 20000 });
+    await expect(page.locator('#errorMessage')).toBeHidden();
+    const gcodeText = await page.locator('#gcodeOutput').inputValue();
+    const ys = gcodeText.split('\n')
+      .map(line => line.match(/^G[0-3] .*Y([-\d.]+)/))
+      .filter(Boolean)
+      .map(match => parseFloat(match[1]));
+    expect(ys.length).toBeGreaterThan(0);
+    expect(ys.reduce((min, y) => Math.min(min, y), Infinity)).toBeGreaterThanOrEqual(0);
+    // The drawing grows by the overshoot of the peaks, up to the 2 mm amplitude, instead of cutting them
+    const maxY = ys.reduce((max, y) => Math.max(max, y), -Infinity);
+    expect(maxY).toBeGreaterThan(80);
+    expect(maxY).toBeLessThanOrEqual(82);
+  });
+
+  test('G-code validator flags common mistakes in pasted files', async ({ page }) => {
+    const warnings = await page.evaluate(() => validateGCode([
+      'G0 X10 Y10',
+      'G1 X20 Y20',
+      'M3',
+      'G91',
+      'G1 X500 F100',
+      'M7',
+      'G1 X1 E3'
+    ].join('\n'), { bed: { minX: 0, minY: 0, maxX: 300, maxY: 300 } }));
+    const messages = warnings.map(warning => `${warning.line}: ${warning.message}`);
+
+    expect(messages).toContain("1: Move before any G90/G91; the controller's current positioning mode is assumed absolute");
+    expect(messages).toContain('2: G1 move before any feed rate (F word)');
+    expect(messages).toContain('2: G1 move with the pen up; use G0 for travel');
+    expect(messages).toContain('5: Move to X520.000 Y20.000 is outside the bed X0..300 Y0..300 (relative positioning is active)');
+    expect(messages).toContain('6: Unknown command M7');
+    expect(messages).toContain('7: Unknown word E in "G1 X1 E3"');
+    expect(messages.some(message => message.includes('Program ends in relative positioning'))).toBe(true);
+
+    // Pasted G-code is checked and loaded into the simulator
+    await page.locator('#checkInput').fill('G21\nG90\nG0 X10 Y10\nM3\nG1 X400 Y10 F500\nM5');
+    await page.locator('#checkBtn').click();
+    await expect(page.locator('#checkResults')).toContainText('Line 5: Move to X400.000 Y10.000 is outside the bed');
+    await expect(page.locator('#simulatorSection')).toBeVisible();
+
+    await page.locator('#checkInput').fill('G21\nG90\nG0 X10 Y10\nM3\nG1 X40 Y10 F500\nM5');
+    await page.locator('#checkBtn').click();
+    await expect(page.locator('#checkResults')).toHaveText('No problems found.');
+  });
+
+  test('GRBL sender streams with character-counting flow control', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      // Mock GRBL: answers every line after a tick, errors on G5, tracks its buffer fill
+      const mock = {
+        written: [],
+        buffered: 0,
+        maxBuffered: 0,
+        autoReply: true,
+        sender: null,
+        write(text) {
+          mock.written.push(text);
+          if (!text.endsWith('\n')) return Promise.resolve();
+          mock.buffered += text.length;
+          mock.maxBuffered = Math.max(mock.maxBuffered, mock.buffered);
+          if (mock.autoReply) {
+            setTimeout(() => {
+              mock.buffered -= text.length;
+              mock.sender.receive(text.startsWith('G5') ? 'error:20' : 'ok');
+            }, 1);
+          }
+          return Promise.resolve();
+        }
+      };
+      const progress = [];
+      mock.sender = createGrblSender(mock, { onProgress: (done, total) => progress.push([done, total]) });
+
+      const lines = ['G21 ; Set units to millimeters', 'G90', ''];
+      for (let i = 0; i < 200; i++) lines.push(`G1 X${i}.125 Y${i * 2}.25 F1000`);
+      const streamed = await mock.sender.start(lines.join('\n'));
+      const firstLine = mock.written[0];
+
+      const failed = await mock.sender.start('G21\nG90\nG5 X1\nG1 X2 F100');
+
+      // Realtime commands while lines are in flight
+      mock.autoReply = false;
+      mock.written = [];
+      const job = mock.sender.start('G90\nG1 X1 F100\nG1 X2');
+      mock.sender.pause();
+      const paused = mock.sender.getStatus().state;
+      mock.sender.resume();
+      mock.sender.abort();
+      const aborted = await job;
+      const realtime = mock.written.filter(text => !text.endsWith('\n'));
+
+      const alarmJob = mock.sender.start('G90');
+      mock.sender.receive('ALARM:1');
+      const alarm = await alarmJob;
+
+      const lostJob = mock.sender.start('G90\nG1 X1 F100');
+      mock.sender.disconnect();
+      const lost = await lostJob;
+
+      return {
+        streamed,
+        firstLine,
+        maxBuffered: mock.maxBuffered,
+        lastProgress: progress[200 + 2],
+        failed,
+        paused,
+        aborted: aborted.status,
+        realtime,
+        alarm,
+        lost
+      };
+    });
+
+    expect(result.streamed.status).toBe('done');
+    expect(result.streamed.total).toBe(202);
+    expect(result.streamed.acknowledged).toBe(202);
+    expect(result.lastProgress).toEqual([202, 202]);
+    // Comments are stripped and the buffer is kept full but never overrun
+    expect(result.firstLine).toBe('G21\n');
+    expect(result.maxBuffered).toBeLessThanOrEqual(128);
+    expect(result.maxBuffered).toBeGreaterThan(100);
+
+    expect(result.failed.status).toBe('error');
+    expect(result.failed.errors).toEqual([
+      { line: 3, code: 20, message: 'Unsupported or invalid g-code command found in block.' }
+    ]);
+
+    expect(result.paused).toBe('paused');
+    expect(result.realtime).toEqual(['!', '~', '\x18']);
+    expect(result.aborted).toBe('aborted');
+
+    expect(result.alarm.status).toBe('alarm');
+    expect(result.alarm.alarm.code).toBe(1);
+
+    expect(result.lost.status).toBe('disconnected');
+    expect(result.lost.acknowledged).toBe(0);
+  });
+
+  test('GRBL sender resets the controller when a job stops on an error or alarm', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      // Mock GRBL answering on demand, oldest line first; a soft reset drops the lines it still holds
+      const mock = {
+        queue: [],
+        written: [],
+        sender: null,
+        write(text) {
+          mock.written.push(text);
+          if (text === '\x18') mock.queue = [];
+          else if (text.endsWith('\n')) mock.queue.push(text.trim());
+          return Promise.resolve();
+        },
+        answer(reply) {
+          mock.queue.shift();
+          mock.sender.receive(reply);
+        }
+      };
+      mock.sender = createGrblSender(mock);
+
+      // Two lines are still waiting for their answers when the job stops
+      const failedJob = mock.sender.start('G21\nG5 X1\nG1 X2 F100\nG1 X3');
+      mock.answer('ok');
+      mock.answer('error:20');
+      const failed = await failedJob;
+      const heldAfterError = mock.queue.length;
+
+      // Every answer after the reset belongs to the next job
+      const nextJob = mock.sender.start('G90\nG1 X5 F100');
+      const queued = mock.queue.slice();
+      mock.answer('ok');
+      const afterFirstAnswer = mock.sender.getStatus();
+      mock.answer('ok');
+      const next = await nextJob;
+
+      const alarmJob = mock.sender.start('G90\nG1 X5 F100');
+      mock.sender.receive('ALARM:1');
+      const alarm = await alarmJob;
+
+      return {
+        failed: failed.status,
+        heldAfterError,
+        queued,
+        afterFirstAnswer,
+        next,
+        alarm: alarm.status,
+        heldAfterAlarm: mock.queue.length,
+        resets: mock.written.filter(text => text === '\x18').length
+      };
+    });
+
+    expect(result.failed).toBe('error');
+    expect(result.heldAfterError).toBe(0);
+    expect(result.queued).toEqual(['G90', 'G1 X5 F100']);
+    expect(result.afterFirstAnswer.state).toBe('running');
+    expect(result.afterFirstAnswer.acknowledged).toBe(1);
+    expect(result.next.status).toBe('done');
+    expect(result.next.acknowledged).toBe(2);
+    expect(result.next.errors).toEqual([]);
+    expect(result.alarm).toBe('alarm');
+    expect(result.heldAfterAlarm).toBe(0);
+    expect(result.resets).toBe(2);
+  });
+
+  test('jog panel and sender drive a connected GRBL port', async ({ page }) => {
+    // Fake Web Serial port answering "ok" to every line
+    await page.addInitScript(() => {
+      window.serialWrites = [];
+      let controller;
+      const readable = new ReadableStream({ start(c) { controller = c; } });
+      const writable = new WritableStream({
+        write(chunk) {
+          const text = new TextDecoder().decode(chunk);
+          window.serialWrites.push(text);
+          if (text.endsWith('\n')) controller.enqueue(new TextEncoder().encode('ok\r\n'));
+        }
+      });
+      const port = { open: async () => {}, close: async () => {}, readable, writable };
+      Object.defineProperty(navigator, 'serial', { value: { requestPort: async () => port } });
+    });
+    await page.goto('/');
+    const writes = () => page.evaluate(() => window.serialWrites.slice());
+
+    await expect(page.locator('#homeBtn')).toBeDisabled();
+    await page.locator('#connectBtn').click();
+    await expect(page.locator('#connectBtn')).toHaveText('Disconnect');
+    await expect(page.locator('#serialLog')).toContainText('Connected at 115200 baud.');
+
+    await page.locator('#jogStep').selectOption('1');
+    await page.locator('.jog-btn.jog-right').click();
+    await expect.poll(writes).toContain('$J=G91 G21 X1.000 F3000\n');
+    await page.locator('.jog-btn.jog-down').click();
+    await expect.poll(writes).toContain('$J=G91 G21 Y-1.000 F3000\n');
+    await page.locator('#homeBtn').click();
+    await expect.poll(writes).toContain('$H\n');
+    await page.locator('#setOriginBtn').click();
+    await expect.poll(writes).toContain('G92 X0 Y0\n');
+    await page.locator('#penDownTestBtn').click();
+    await expect.poll(writes).toContain('M3\n');
+
+    // Bounding box and sending need a drawing
+    await expect(page.locator('#boundingBoxBtn')).toBeDisabled();
+    await expect(page.locator('#sendBtn')).toBeDisabled();
+    const imageBuffer = await canvasPng(page, () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 20;
+      canvas.height = 10;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = 'black';
+      ctx.fillRect(0, 0, 20, 10);
+
+      return canvas;
+    });
+    await page.locator('#imageInput').setInputFiles({
+      name: 'black.png',
+      mimeType: 'image/png',
+      buffer: imageBuffer
+    });
+    await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
+    await page.locator('#generateBtn').click();
+    await expect(page.locator('#gcodeSection')).toBeVisible();
+
+    await page.evaluate(() => { window.serialWrites = []; });
+    await page.locator('#boundingBoxBtn').click();
+    await expect.poll(async () => (await writes()).length).toBe(8);
+    const box = (await writes()).map(text => text.trim());
+    expect(box.slice(0, 3)).toEqual(['G21', 'G90', 'M5']);
+    expect(box.slice(3).every(line => /^G0 X[\d.]+ Y[\d.]+ F3000$/.test(line))).toBe(true);
+    expect(box[7]).toBe(box[3]);
+
+    // Paths too long to spread into Math.min still get a box
+    const largeBox = await page.evaluate(() => {
+      const path = Array.from({ length: 300000 }, (_, i) => ({ x: i % 1000 / 10, y: Math.floor(i / 1000) / 10 }));
+      return generateBoundingBoxGCode({ path }, MACHINE_PROFILES.spindle).split('\n').slice(-5);
+    });
+    expect(largeBox).toEqual([
+      'G0 X0.000 Y0.000', 'G0 X99.900 Y0.000', 'G0 X99.900 Y29.900', 'G0 X0.000 Y29.900', 'G0 X0.000 Y0.000'
+    ]);
+
+    await page.evaluate(() => { window.serialWrites = []; });
+    await page.locator('#sendBtn').click();
+    await expect(page.locator('#sendStatus')).toContainText('Finished:');
+    const sent = (await writes()).map(text => text.trim());
+    const expected = await page.evaluate(() => parseGCode(currentGCode).map(command => command.code));
+    expect(sent).toEqual(expected);
+  });
+
+  test('unplugging the port mid-job ends it as disconnected', async ({ page }) => {
+    // Fake Web Serial port that never answers, so the job stays in flight
+    await page.addInitScript(() => {
+      let controller;
+      const readable = new ReadableStream({ start(c) { controller = c; } });
+      const writable = new WritableStream({ write() {} });
+      const port = { open: async () => {}, close: async () => {}, readable, writable };
+      Object.defineProperty(navigator, 'serial', { value: { requestPort: async () => port } });
+      window.unplugSerial = () => controller.error(new Error('The device has been lost.'));
+    });
+    await page.goto('/');
+
+    const imageBuffer = await canvasPng(page, () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 20;
+      canvas.height = 10;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = 'black';
+      ctx.fillRect(0, 0, 20, 10);
+
+      return canvas;
+    });
+    await page.locator('#imageInput').setInputFiles({
+      name: 'black.png',
+      mimeType: 'image/png',
+      buffer: imageBuffer
+    });
+    await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
+    await page.locator('#generateBtn').click();
+    await expect(page.locator('#gcodeSection')).toBeVisible();
+
+    await page.locator('#connectBtn').click();
+    await expect(page.locator('#connectBtn')).toHaveText('Disconnect');
+    await page.locator('#sendBtn').click();
+    await expect(page.locator('#abortBtn')).toBeEnabled();
+
+    await page.evaluate(() => window.unplugSerial());
+    await expect(page.locator('#sendStatus')).toHaveText('Connection lost.');
+    await expect(page.locator('#connectBtn')).toHaveText('Connect');
+    await expect(page.locator('#sendBtn')).toBeDisabled();
+    await expect(page.locator('#abortBtn')).toBeDisabled();
+    await expect(page.locator('#homeBtn')).toBeDisabled();
+  });
+
+  test('resume continues a plot from a line or percentage', async ({ page }) => {
+    await page.goto('/');
+
+    const resumed = await page.evaluate(() => resumeGCode([
+      'G21',
+      'G90',
+      'M5 ; Pen up',
+      'G0 X10 Y10',
+      'M3 ; Pen down',
+      'G1 F800',
+      'G1 X20 Y10',
+      'G1 X20 Y20',
+      'M5 ; Pen up'
+    ].join('\n'), 8, { penDown: 'M3 ; Pen down', penUp: 'M5 ; Pen up', travelFeedRate: 3000 }));
+
+    expect(resumed.gcode.split('\n')).toEqual([
+      '; Resumed from line 8',
+      'G21 ; Set units to millimeters',
+      'G90 ; Absolute positioning',
+      'M5 ; Pen up',
+      'G0 X20.000 Y10.000 F3000',
+      'M3 ; Pen down',
+      'G1 F800',
+      '; Continue',
+      'G1 X20 Y20',
+      'M5 ; Pen up'
+    ]);
+    expect(resumed.drawnMoves).toHaveLength(1);
+
+    const imageBuffer = await canvasPng(page, () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 20;
+      canvas.height = 20;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = 'black';
+      ctx.fillRect(0, 0, 20, 20);
+
+      return canvas;
+    });
+    await page.locator('#imageInput').setInputFiles({
+      name: 'black.png',
+      mimeType: 'image/png',
+      buffer: imageBuffer
+    });
+    await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
+    await page.locator('#generateBtn').click();
+    const original = await page.locator('#gcodeOutput').inputValue();
+
+    await page.locator('#resumeFrom').fill('50');
+    await page.locator('#resumeUnit').selectOption('percent');
+    await page.locator('#resumeBtn').click();
+
+    await expect(page.locator('#resumeInfo')).toContainText('with the pen down');
+    const output = await page.locator('#gcodeOutput').inputValue();
+    const line = parseInt(output.match(/^; Resumed from line (\d+)/)[1]);
+    expect(output.split('\n; Continue\n')[1]).toBe(original.split('\n').slice(line - 1).join('\n'));
+    await expect(page.locator('#svgContainer .resume-drawn')).toHaveCount(1);
+    await expect(page.locator('#gcodeLint')).toHaveText('No problems found.');
+
+    await page.locator('#resumeClearBtn').click();
+    expect(await page.locator('#gcodeOutput').inputValue()).toBe(original);
+    await expect(page.locator('#svgContainer .resume-drawn')).toHaveCount(0);
+  });
+
+  test('SVG artwork is plotted as strokes with pen lifts between them', async ({ page }) => {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="50mm" height="50mm" viewBox="0 0 50 50">
+      <rect x="5" y="5" width="10" height="10"/>
+      <line x1="30" y1="5" x2="45" y2="20"/>
+      <circle cx="25" cy="35" r="8"/>
+    </svg>`;
+
+    await page.locator('#imageInput').setInputFiles({
+      name: 'art.svg',
+      mimeType: 'image/svg+xml',
+      buffer: Buffer.from(svg)
+    });
+    await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
+    await page.locator('#outputWidth').fill('100');
+    await page.locator('#generateBtn').click();
+
+    // The strokes are ordered in the generator worker even with ordering switched off
+    await expect(page.locator('#gcodeSection')).toBeVisible({ timeout: 10000 });
+    await expect(page.locator('#optimizeOrder')).not.toBeChecked();
+    await expect(page.locator('#travelReport')).toContainText('Pen-up travel:');
+
+    const gcodeText = await page.locator('#gcodeOutput').inputValue();
+    const lines = gcodeText.split('\n').map(l => l.trim());
+
+    // Three strokes: the first starts after the initial pen down, two more pen lifts
+    expect(lines.filter(l => l === 'M3 ; Pen down').length).toBe(3);
+    expect(gcodeText).toContain('; SVG Import - 2 pen lifts');
+
+    // Scaled to 100 mm: the square's corners land at 10..30 mm
+    const points = lines
+      .filter(l => /^G[01] X/.test(l))
+      .map(l => l.match(/X([-\d.]+) Y([-\d.]+)/).slice(1).map(parseFloat));
+    expect(points).toContainEqual([10, 10]);
+    expect(points).toContainEqual([30, 30]);
+    expect(points.every(([x, y]) => x >= 0 && x <= 100 && y >= 0 && y <= 100)).toBe(true);
+
+    await expect(page.locator('#svgContainer svg path').first()).toBeAttached();
+  });
+
+  test('batch processes several images into a ZIP named after the sources', async ({ page }) => {
+    const images = await Promise.all(['black', 'gray', '#444'].map(shade => canvasPng(page, shade => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 30;
+      canvas.height = 20;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = shade;
+      ctx.fillRect(0, 0, 30, 20);
+      return canvas;
+    }, shade)));
+
+    // Two sources share a name once their extension is dropped
+    const names = ['Anna Smith.png', 'bob.png', 'bob.jpeg'];
+    await page.locator('#imageInput').setInputFiles(names.map((name, i) => ({
+      name,
+      mimeType: 'image/png',
+      buffer: images[i]
+    })));
+    await expect(page.locator('#fileName')).toHaveText('3 images');
+    await expect(page.locator('#batchList .batch-item')).toHaveCount(3);
+
+    await page.locator('#batchGenerateBtn').click();
+    await expect(page.locator('#batchStatus')).toHaveText('Processed 3 images', { timeout: 10000 });
+    for (const item of await page.locator('#batchList .batch-item').all()) {
+      await expect(item.locator('.batch-thumbnail')).toHaveAttribute('src', /^blob:/);
+      await expect(item.locator('.batch-preview svg path').first()).toBeAttached();
+      await expect(item.locator('.batch-stats')).toContainText('pen lifts');
+    }
+
+    const downloadPromise = page.waitForEvent('download');
+    await page.locator('#batchDownloadBtn').click();
+    const download = await downloadPromise;
+    expect(download.suggestedFilename()).toBe('drawings.zip');
+    const zip = fs.readFileSync(await download.path()).toString('latin1');
+    expect(zip.startsWith('PK')).toBe(true);
+    for (const name of ['Anna-Smith.gcode', 'bob.gcode', 'bob-2.gcode']) {
+      expect(zip).toContain(name);
+    }
+    expect(zip.split('M3 ; Pen down').length - 1).toBeGreaterThanOrEqual(3);
+
+    // The batch leaves the loaded first image in the main preview
+    const loadedPixel = await page.evaluate(() =>
+      Array.from(originalCanvas.getContext('2d').getImageData(0, 0, 1, 1).data));
+    expect(loadedPixel).toEqual([0, 0, 0, 255]);
+
+    // Show puts one image of the batch in the main preview
+    await page.locator('#batchList .batch-show-btn').nth(1).click();
+    await expect(page.locator('#fileName')).toHaveText('bob.png');
+    await expect(page.locator('#gcodeOutput')).not.toHaveValue('');
+    const shownPixel = await page.evaluate(() =>
+      Array.from(originalCanvas.getContext('2d').getImageData(0, 0, 1, 1).data));
+    expect(shownPixel).toEqual([128, 128, 128, 255]);
+    const gcodeDownload = page.waitForEvent('download');
+    await page.locator('#downloadBtn').click();
+    expect((await gcodeDownload).suggestedFilename()).toBe('bob.gcode');
+  });
+
+  test('poster tiles are written in the generator worker and zipped', async ({ page }) => {
+    const imageBuffer = await canvasPng(page, () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 60;
+      canvas.height = 20;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = 'black';
+      ctx.fillRect(0, 0, 60, 20);
+
+      return canvas;
+    });
+
+    await page.locator('#imageInput').setInputFiles({
+      name: 'black.png',
+      mimeType: 'image/png',
+      buffer: imageBuffer
+    });
+    await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
+    // 300 x 100 mm on A5 sheets: three tiles side by side
+    await page.locator('#outputWidth').fill('300');
+    await page.locator('#paperSize').selectOption('A5');
+    await page.locator('#tiling').check();
+    await page.locator('#generateBtn').click();
+    await expect(page.locator('#tileInfo')).toHaveText('3 sheets in a 1 × 3 grid', { timeout: 10000 });
+
+    // Count the tile messages the page posts to workers
+    await page.evaluate(() => {
+      const PageWorker = Worker;
+      window.tileMessages = 0;
+      window.Worker = class extends PageWorker {
+        postMessage(message, transfer) {
+          if (message.tiles) window.tileMessages++;
+          super.postMessage(message, transfer);
+        }
+      };
+    });
+
+    const downloadPromise = page.waitForEvent('download');
+    await page.locator('#downloadTilesBtn').click();
+    const download = await downloadPromise;
+    expect(download.suggestedFilename()).toBe('black-tiles.zip');
+    const zip = fs.readFileSync(await download.path()).toString('latin1');
+    for (const name of ['black-tile-r1-c1.gcode', 'black-tile-r1-c2.gcode', 'black-tile-r1-c3.gcode']) {
+      expect(zip).toContain(name);
+    }
+    expect(await page.evaluate(() => window.tileMessages)).toBe(1);
+    await expect(page.locator('#downloadTilesBtn')).toBeEnabled();
+  });
+
+  test('batch processing can be cancelled', async ({ page }) => {
+    const imageBuffer = await canvasPng(page, () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 1200;
+      canvas.height = 1000;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#444';
+      ctx.fillRect(0, 0, 1200, 1000);
+
+      return canvas;
+    });
+
+    await page.locator('#imageInput').setInputFiles(['first.png', 'second.png'].map(name => ({
+      name,
+      mimeType: 'image/png',
+      buffer: imageBuffer
+    })));
+    await expect(page.locator('#batchList .batch-item')).toHaveCount(2);
+    await expect(page.locator('#batchCancelBtn')).toBeDisabled();
+
+    // A fine grid takes long enough to cancel
+    await page.locator('#cellSize').fill('2');
+    await page.locator('#batchGenerateBtn').click();
+    await expect(page.locator('#batchStatus')).toContainText('Processing 1 of 2');
+    await page.locator('#batchCancelBtn').click();
+
+    await expect(page.locator('#batchStatus')).toHaveText('Cancelled after 0 of 2 images');
+    await expect(page.locator('#batchGenerateBtn')).toBeEnabled();
+    await expect(page.locator('#batchCancelBtn')).toBeDisabled();
+    await expect(page.locator('#batchDownloadBtn')).toBeDisabled();
+    await expect(page.locator('#batchList .batch-stats').first()).toHaveText('Not processed yet');
+  });
 });
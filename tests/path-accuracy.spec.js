@@ -7,6 +7,23 @@ const { test, expect } = require('@playwright/test');
  * 2. Compare G-Code trajectory rendering with SVG visualization
  */
 
+/**
+ * PNG bytes of a canvas drawn in the page: draw(arg) runs in the browser and
+ * returns the canvas
+ */
+async function canvasPng(page, draw, arg) {
+  const handle = await page.evaluateHandle(draw, arg);
+  const base64 = await handle.evaluate(canvas => new Promise((resolve) => {
+    canvas.toBlob((blob) => {
+      const reader = new FileReader();
+      reader.onloadend = () => resolve(reader.result.split(',')[1]);
+      reader.readAsDataURL(blob);
+    }, 'image/png');
+  }));
+  await handle.dispose();
+  return Buffer.from(base64, 'base64');
+}
+
 test.describe('Path Accuracy Tests', () => {
 
   test('cell darkness comparison - generated path reflects original image darkness', async ({ page }) => {
@@ -14,7 +31,7 @@ test.describe('Path Accuracy Tests', () => {
     
     // Create test image with known darkness patterns
     // Left half is black (darkness=1), right half is white (darkness=0)
-    const imageBuffer = await page.evaluate(async () => {
+    const imageBuffer = await canvasPng(page, () => {
       const canvas = document.createElement('canvas');
       canvas.width = 100;
       canvas.height = 100;
@@ -25,20 +42,14 @@ test.describe('Path Accuracy Tests', () => {
       ctx.fillRect(0, 0, 100, 100);
       ctx.fillStyle = 'black';
       ctx.fillRect(0, 0, 50, 100);
-      
-      return new Promise((resolve) => {
-        canvas.toBlob((blob) => {
-          const reader = new FileReader();
-          reader.onloadend = () => resolve(reader.result.split(',')[1]);
-          reader.readAsDataURL(blob);
-        }, 'image/png');
-      });
+
+      return canvas;
     });
 
     await page.locator('#imageInput').setInputFiles({
       name: 'test.png',
       mimeType: 'image/png',
-      buffer: Buffer.from(imageBuffer, 'base64')
+      buffer: imageBuffer
     });
 
     await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
@@ -109,7 +120,7 @@ test.describe('Path Accuracy Tests', () => {
     await page.goto('/');
     
     // Create gradient image (black on left, white on right)
-    const imageBuffer = await page.evaluate(async () => {
+    const imageBuffer = await canvasPng(page, () => {
       const canvas = document.createElement('canvas');
       canvas.width = 100;
       canvas.height = 50;
@@ -121,20 +132,14 @@ test.describe('Path Accuracy Tests', () => {
       gradient.addColorStop(1, 'white');
       ctx.fillStyle = gradient;
       ctx.fillRect(0, 0, 100, 50);
-      
-      return new Promise((resolve) => {
-        canvas.toBlob((blob) => {
-          const reader = new FileReader();
-          reader.onloadend = () => resolve(reader.result.split(',')[1]);
-          reader.readAsDataURL(blob);
-        }, 'image/png');
-      });
+
+      return canvas;
     });
 
     await page.locator('#imageInput').setInputFiles({
       name: 'gradient.png',
       mimeType: 'image/png',
-      buffer: Buffer.from(imageBuffer, 'base64')
+      buffer: imageBuffer
     });
 
     await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
@@ -180,27 +185,21 @@ test.describe('Path Accuracy Tests', () => {
     await page.goto('/');
     
     // Create test image
-    const imageBuffer = await page.evaluate(async () => {
+    const imageBuffer = await canvasPng(page, () => {
       const canvas = document.createElement('canvas');
       canvas.width = 40;
       canvas.height = 40;
       const ctx = canvas.getContext('2d');
       ctx.fillStyle = 'gray';
       ctx.fillRect(0, 0, 40, 40);
-      
-      return new Promise((resolve) => {
-        canvas.toBlob((blob) => {
-          const reader = new FileReader();
-          reader.onloadend = () => resolve(reader.result.split(',')[1]);
-          reader.readAsDataURL(blob);
-        }, 'image/png');
-      });
+
+      return canvas;
     });
 
     await page.locator('#imageInput').setInputFiles({
       name: 'test.png',
       mimeType: 'image/png',
-      buffer: Buffer.from(imageBuffer, 'base64')
+      buffer: imageBuffer
     });
 
     await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
@@ -259,7 +258,7 @@ test.describe('Path Accuracy Tests', () => {
     await page.goto('/');
     
     // Create test image
-    const imageBuffer = await page.evaluate(async () => {
+    const imageBuffer = await canvasPng(page, () => {
       const canvas = document.createElement('canvas');
       canvas.width = 50;
       canvas.height = 50;
@@ -272,20 +271,14 @@ test.describe('Path Accuracy Tests', () => {
       ctx.beginPath();
       ctx.arc(25, 25, 15, 0, Math.PI * 2);
       ctx.fill();
-      
-      return new Promise((resolve) => {
-        canvas.toBlob((blob) => {
-          const reader = new FileReader();
-          reader.onloadend = () => resolve(reader.result.split(',')[1]);
-          reader.readAsDataURL(blob);
-        }, 'image/png');
-      });
+
+      return canvas;
     });
 
     await page.locator('#imageInput').setInputFiles({
       name: 'circle.png',
       mimeType: 'image/png',
-      buffer: Buffer.from(imageBuffer, 'base64')
+      buffer: imageBuffer
     });
 
     await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
@@ -396,7 +389,7 @@ test.describe('Path Accuracy Tests', () => {
     await page.goto('/');
     
     // Create test image with known pattern
-    const imageBuffer = await page.evaluate(async () => {
+    const imageBuffer = await canvasPng(page, () => {
       const canvas = document.createElement('canvas');
       canvas.width = 60;
       canvas.height = 60;
@@ -420,20 +413,14 @@ test.describe('Path Accuracy Tests', () => {
       
       // Bottom-right quadrant: white (darkness = 0)
       // Already white
-      
-      return new Promise((resolve) => {
-        canvas.toBlob((blob) => {
-          const reader = new FileReader();
-          reader.onloadend = () => resolve(reader.result.split(',')[1]);
-          reader.readAsDataURL(blob);
-        }, 'image/png');
-      });
+
+      return canvas;
     });
 
     await page.locator('#imageInput').setInputFiles({
       name: 'quadrants.png',
       mimeType: 'image/png',
-      buffer: Buffer.from(imageBuffer, 'base64')
+      buffer: imageBuffer
     });
 
     await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
@@ -535,4 +522,565 @@ test.describe('Path Accuracy Tests', () => {
     // Top-left is darkest, should have larger amplitude than top-right
     expect(comparison.quadrantAmplitudes['top-left']).toBeGreaterThan(0);
   });
+
+  test('output transform maps image coordinates to machine coordinates', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(() => {
+      const pathData = {
+        path: [{ x: 0, y: 0 }, { x: 40, y: 0 }, { x: 40, y: 20 }],
+        outputWidth: 40,
+        outputHeight: 20
+      };
+
+      const flipped = transformPath(pathData, { origin: 'bottom-left', flipY: true, offsetX: 10, offsetY: 5 });
+      const rotated = transformPath(pathData, { rotation: 90 });
+      const centered = transformPath(pathData, { origin: 'center' });
+
+      // SVG path data must stay in machine coordinates so it matches the G-code
+      const svg = new DOMParser().parseFromString(generateSVG(flipped), 'image/svg+xml');
+      const gcode = generateGCodeFromPath(flipped);
+
+      return {
+        flipped: flipped.path,
+        flippedBounds: flipped.bounds,
+        rotated: rotated.path,
+        rotatedSize: [rotated.outputWidth, rotated.outputHeight],
+        centered: centered.path,
+        pathD: svg.querySelector('path').getAttribute('d'),
+        axisLines: svg.querySelectorAll('.axis-markers line').length,
+        gcodeHasStart: gcode.includes('G0 X10.000 Y25.000')
+      };
+    });
+
+    // Image top-left lands at the top of a Y-up bed, shifted by the offsets
+    expect(result.flipped[0]).toEqual({ x: 10, y: 25 });
+    expect(result.flipped[2]).toEqual({ x: 50, y: 5 });
+    expect(result.flippedBounds).toEqual({ minX: 10, minY: 5, maxX: 50, maxY: 25 });
+
+    // 90 degrees clockwise swaps the drawing size
+    expect(result.rotatedSize).toEqual([20, 40]);
+    expect(result.rotated[0]).toEqual({ x: 20, y: 0 });
+    expect(result.rotated[2]).toEqual({ x: 0, y: 40 });
+
+    expect(result.centered[0]).toEqual({ x: -20, y: -10 });
+
+    expect(result.pathD.startsWith('M 10.000 25.000')).toBe(true);
+    expect(result.axisLines).toBe(2);
+    expect(result.gcodeHasStart).toBe(true);
+  });
+
+  test('centered waveforms stay within their row at large amplitudes', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(() => {
+      // Solid black single row of 4 cells: every cell at full darkness
+      const imageData = new ImageData(40, 10);
+      for (let i = 0; i < imageData.data.length; i += 4) {
+        imageData.data[i + 3] = 255;
+      }
+
+      const baseY = 5;
+      const results = {};
+      for (const waveform of ['peak', 'triangle', 'square', 'sine']) {
+        // maxAmplitude larger than the cell height
+        const { path } = generateHatchSawtoothPath(imageData, 40, 10, 10, 15, 40, { waveform });
+        const deviations = path.map(p => baseY - p.y);
+        results[waveform] = {
+          maxUp: Math.max(...deviations),
+          maxDown: -Math.min(...deviations),
+          meanDeviation: deviations.reduce((a, b) => a + b, 0) / deviations.length
+        };
+      }
+      return results;
+    });
+
+    // Classic peak only goes up, overshooting into the row above
+    expect(result.peak.maxUp).toBe(15);
+    expect(result.peak.maxDown).toBeCloseTo(0, 6);
+
+    for (const waveform of ['triangle', 'square', 'sine']) {
+      // Capped at half the cell height on both sides, so rows never overlap
+      expect(result[waveform].maxUp).toBeCloseTo(5, 6);
+      expect(result[waveform].maxDown).toBeCloseTo(5, 6);
+      // Balanced above and below the base line
+      expect(Math.abs(result[waveform].meanDeviation)).toBeLessThan(0.01);
+    }
+  });
+
+  test('frequency modulation sets zigzag count from darkness', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(() => {
+      // One row of three cells: white, mid gray, black
+      const imageData = new ImageData(30, 10);
+      const grays = [255, 128, 0];
+      for (let px = 0; px < 30; px++) {
+        for (let py = 0; py < 10; py++) {
+          const idx = (py * 30 + px) * 4;
+          const gray = grays[Math.floor(px / 10)];
+          imageData.data[idx] = gray;
+          imageData.data[idx + 1] = gray;
+          imageData.data[idx + 2] = gray;
+          imageData.data[idx + 3] = 255;
+        }
+      }
+
+      const { path } = generateHatchSawtoothPath(imageData, 30, 10, 10, 4, 30, { maxCycles: 4 });
+      // Count peaks (points above the base line) per cell
+      const peaks = [0, 0, 0];
+      path.forEach(p => {
+        if (p.y < 5 - 1e-9) peaks[Math.min(2, Math.floor(p.x / 10))]++;
+      });
+      return { peaks, pointsInWhite: path.filter(p => p.x > 0 && p.x <= 10).length };
+    });
+
+    expect(result.peaks).toEqual([0, 2, 4]);
+    // A white cell is a single straight segment
+    expect(result.pointsInWhite).toBe(1);
+  });
+
+  test('tone curve adjusts darkness before sampling', async ({ page }) => {
+    await page.goto('/');
+
+    // Left half black, right half white
+    const imageBuffer = await canvasPng(page, () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 100;
+      canvas.height = 100;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = 'white';
+      ctx.fillRect(0, 0, 100, 100);
+      ctx.fillStyle = 'black';
+      ctx.fillRect(0, 0, 50, 100);
+
+      return canvas;
+    });
+
+    await page.locator('#imageInput').setInputFiles({
+      name: 'test.png',
+      mimeType: 'image/png',
+      buffer: imageBuffer
+    });
+
+    await expect(page.locator('#generateBtn')).toBeEnabled({ timeout: 5000 });
+    await page.locator('#cellSize').fill('10');
+    await page.locator('#maxAmplitude').fill('5');
+    await page.locator('#invert').check();
+    await page.locator('#generateBtn').click();
+
+    const pathD = await page.locator('#svgContainer svg path').getAttribute('d');
+    const result = await page.evaluate((pathD) => {
+      const commands = pathD.match(/[ML]\s*[\d.-]+\s+[\d.-]+/g) || [];
+      const points = commands.map(cmd => {
+        const match = cmd.match(/[ML]\s*([\d.-]+)\s+([\d.-]+)/);
+        return { x: parseFloat(match[1]), y: parseFloat(match[2]) };
+      });
+
+      // Peaks sit at cell centers; measure how far they rise above the base line
+      const amplitude = (p) => (Math.floor(p.y / 10) + 0.5) * 10 - p.y;
+      const left = points.filter(p => p.x < 50).map(amplitude);
+      const right = points.filter(p => p.x > 50).map(amplitude);
+
+      const curve = Array.from(buildToneCurve({ gamma: 2 }));
+      return {
+        maxLeft: Math.max(...left),
+        maxRight: Math.max(...right),
+        gammaLightens: curve[128] > 128,
+        gammaKeepsEnds: curve[0] === 0 && curve[255] === 255
+      };
+    }, pathD);
+
+    // Inverted: the black half is drawn flat, the white half at full amplitude
+    expect(result.maxLeft).toBeLessThan(0.5);
+    expect(result.maxRight).toBeGreaterThan(4);
+    expect(result.gammaLightens).toBe(true);
+    expect(result.gammaKeepsEnds).toBe(true);
+  });
+
+  test('cross-hatch layers add angled passes over darker tones', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(() => {
+      // Left half black, right half light gray
+      const imageData = new ImageData(40, 40);
+      for (let py = 0; py < 40; py++) {
+        for (let px = 0; px < 40; px++) {
+          const idx = (py * 40 + px) * 4;
+          const gray = px < 20 ? 0 : 200;
+          imageData.data[idx] = gray;
+          imageData.data[idx + 1] = gray;
+          imageData.data[idx + 2] = gray;
+          imageData.data[idx + 3] = 255;
+        }
+      }
+
+      const single = generateCrossHatchPath(imageData, 40, 40, 10, 2, 40, parseHatchLayers('0'));
+      const plain = generateHatchSawtoothPath(imageData, 40, 40, 10, 2, 40);
+      const crossed = generateCrossHatchPath(imageData, 40, 40, 10, 2, 40, parseHatchLayers('0:0, 90:50'));
+
+      // Points drawn after the first layer's final point
+      const firstLayerLength = plain.path.length;
+      const secondLayer = crossed.path.slice(firstLayerLength);
+
+      return {
+        singleMatchesPlain: JSON.stringify(single.path) === JSON.stringify(plain.path),
+        layerStartsWithTravel: secondLayer.length > 0 && secondLayer[0].travel === true,
+        secondLayerMaxX: Math.max(...secondLayer.map(p => p.x)),
+        inBounds: crossed.path.every(p => p.x >= 0 && p.x <= 40 && p.y >= 0 && p.y <= 40)
+      };
+    });
+
+    // A single 0 degree layer is the classic path
+    expect(result.singleMatchesPlain).toBe(true);
+    // The vertical layer is joined with a pen lift and only covers the dark half
+    expect(result.layerStartsWithTravel).toBe(true);
+    expect(result.secondLayerMaxX).toBeLessThanOrEqual(25);
+    expect(result.inBounds).toBe(true);
+  });
+
+  test('spiral and circle modes modulate around the image center', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(() => {
+      // Uniform mid gray
+      const imageData = new ImageData(40, 40);
+      for (let i = 0; i < imageData.data.length; i += 4) {
+        imageData.data[i] = 128;
+        imageData.data[i + 1] = 128;
+        imageData.data[i + 2] = 128;
+        imageData.data[i + 3] = 255;
+      }
+
+      const summarize = ({ path, outputWidth, outputHeight }) => {
+        const radii = path.map(p => Math.hypot(p.x - 20, p.y - 20));
+        return {
+          outputWidth,
+          outputHeight,
+          startRadius: radii[0],
+          maxRadius: Math.max(...radii),
+          inBounds: path.every(p => p.x >= 0 && p.x <= 40 && p.y >= 0 && p.y <= 40)
+        };
+      };
+
+      return {
+        spiral: summarize(generateSpiralPath(imageData, 40, 40, 5, 2, 40, { carrier: 'spiral' })),
+        circles: summarize(generateSpiralPath(imageData, 40, 40, 5, 2, 40, { carrier: 'circles' }))
+      };
+    });
+
+    for (const mode of [result.spiral, result.circles]) {
+      expect(mode.outputWidth).toBe(40);
+      expect(mode.outputHeight).toBe(40);
+      // Starts near the center and reaches the image edges
+      expect(mode.startRadius).toBeLessThanOrEqual(2.5);
+      expect(mode.maxRadius).toBeGreaterThan(19);
+      expect(mode.inBounds).toBe(true);
+    }
+  });
+
+  test('bilinear sampling tracks a gradient at every vertex', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(() => {
+      // Horizontal gradient from white (left) to black (right), width not a multiple of the cell
+      const width = 50, height = 8;
+      const imageData = new ImageData(width, height);
+      for (let py = 0; py < height; py++) {
+        for (let px = 0; px < width; px++) {
+          const idx = (py * width + px) * 4;
+          const gray = 255 - Math.round(255 * (px + 0.5) / width);
+          imageData.data[idx] = gray;
+          imageData.data[idx + 1] = gray;
+          imageData.data[idx + 2] = gray;
+          imageData.data[idx + 3] = 255;
+        }
+      }
+
+      const cellSize = 3.5;
+      const { path } = generateHatchSawtoothPath(imageData, width, height, cellSize, 2, width, { sampling: 'bilinear' });
+
+      // Peaks of the first row: expected height is the gradient darkness under the vertex
+      const baseY = cellSize / 2;
+      const errors = path
+        .filter(p => p.y < baseY - 1e-6)
+        .map(p => Math.abs((baseY - p.y) - 2 * (p.x / width)));
+
+      const blurred = createDarknessSampler(imageData, width, height, 2);
+      return {
+        peaks: errors.length,
+        maxError: Math.max(...errors),
+        edgeInRange: blurred(0, 0) >= 0 && blurred(width, height) <= 1
+      };
+    });
+
+    // One peak per cell including the partial last cell, each following the gradient
+    expect(result.peaks).toBe(Math.ceil(50 / 3.5));
+    expect(result.maxError).toBeLessThan(0.05);
+    expect(result.edgeInRange).toBe(true);
+  });
+
+  test('arc fitting emits G2/G3 moves matching SVG arcs', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(() => {
+      // Upper half circle of radius 5 drawn left to right (clockwise with Y up), then a zigzag
+      const path = [];
+      for (let k = 0; k <= 12; k++) {
+        const angle = Math.PI - k * Math.PI / 12;
+        path.push({ x: 10 + 5 * Math.cos(angle), y: 5 * Math.sin(angle) });
+      }
+      path.push({ x: 16, y: 2 }, { x: 17, y: 0 }, { x: 18, y: 2 });
+
+      const pathData = { path: fitArcs(path, 0.05), outputWidth: 20, outputHeight: 5 };
+      const gcode = generateGCodeFromPath(pathData);
+      const svg = generateSVG(pathData);
+      const box = generateBoundingBoxGCode(pathData, MACHINE_PROFILES.spindle).split('\n').slice(-5);
+
+      const container = document.createElement('div');
+      container.innerHTML = svg;
+      document.body.appendChild(container);
+      const drawn = container.querySelector('path');
+      const length = drawn.getTotalLength();
+      const middle = drawn.getPointAtLength(Math.PI * 5 / 2);
+      container.remove();
+
+      // At whole millimetres a quarter circle of radius 1.4 no longer has one radius,
+      // and a tiny half circle ends where it starts: both become straight moves through their points
+      const coarse = [];
+      for (let k = 0; k <= 6; k++) {
+        const angle = k * Math.PI / 12;
+        coarse.push({ x: 0.3 + 1.4 * Math.cos(angle), y: 0.2 + 1.4 * Math.sin(angle) });
+      }
+      for (let k = 0; k <= 6; k++) {
+        const angle = Math.PI - k * Math.PI / 6;
+        coarse.push({ x: 1.2 + 0.2 * Math.cos(angle), y: 1.2 + 0.2 * Math.sin(angle), ...(k === 0 ? { travel: true } : {}) });
+      }
+      const coarsePath = fitArcs(coarse, 0.05);
+      const coarseGcode = generateGCodeFromPath({ path: coarsePath, outputWidth: 2, outputHeight: 2 }, { precision: 0 });
+
+      return {
+        coarseArcs: coarsePath.filter(p => p.arc).length,
+        coarseArcLines: coarseGcode.split('\n').filter(line => /^G[23] /.test(line)),
+        coarseCurve: coarseGcode.split('\n').filter(line => /^G1 X/.test(line)).slice(0, 6),
+        arcLines: gcode.split('\n').filter(line => /^G[23] /.test(line)),
+        box,
+        straightLines: gcode.split('\n').filter(line => /^G1 X/.test(line)).length,
+        svgD: drawn.getAttribute('d'),
+        length,
+        middle: { x: middle.x, y: middle.y },
+        unchanged: fitArcs(path, 0).length === path.length
+      };
+    });
+
+    expect(result.arcLines).toEqual(['G2 X15.000 Y0.000 I5.000 J0.000']);
+    // The zigzag stays as straight moves
+    expect(result.straightLines).toBe(3);
+    expect(result.svgD).toContain('A 5.000 5.000');
+    // The bounding box takes in the top of the semicircle, not just its ends
+    expect(result.box).toEqual([
+      'G0 X5.000 Y0.000', 'G0 X18.000 Y0.000', 'G0 X18.000 Y5.000', 'G0 X5.000 Y5.000', 'G0 X5.000 Y0.000'
+    ]);
+    // The preview follows the true semicircle through its top
+    expect(result.length).toBeCloseTo(Math.PI * 5 + Math.hypot(1, 2) * 3, 1);
+    expect(result.middle.x).toBeCloseTo(10, 1);
+    expect(result.middle.y).toBeCloseTo(5, 1);
+    expect(result.unchanged).toBe(true);
+    expect(result.coarseArcs).toBe(2);
+    expect(result.coarseArcLines).toEqual([]);
+    // The quarter circle still bends through its rounded points instead of cutting the corner
+    expect(result.coarseCurve).toEqual(['G1 X2 Y1', 'G1 X2 Y1', 'G1 X1 Y1', 'G1 X1 Y1', 'G1 X1 Y2', 'G1 X0 Y2']);
+  });
+
+  test('SVG import flattens shapes, curves and nested transforms', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(() => {
+      // 200 x 100 user units on a 100 x 50 mm page: 0.5 mm per unit
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="100mm" height="50mm" viewBox="0 0 200 100">
+        <g transform="translate(10,10)"><rect x="0" y="0" width="20" height="10"/></g>
+        <circle cx="100" cy="50" r="20"/>
+        <path d="M 150 10 C 150 40 190 40 190 10"/>
+        <g style="display:none"><line x1="0" y1="0" x2="10" y2="10"/></g>
+        <g transform="rotate(90 100 50)"><g transform="scale(2)"><line x1="45" y1="25" x2="55" y2="25"/></g></g>
+      </svg>`;
+      const { strokes, width, height } = importSvg(svg, { tolerance: 0.05 });
+      const round = p => [Math.round(p.x * 1000) / 1000, Math.round(p.y * 1000) / 1000];
+
+      const circle = strokes[1];
+      const curve = strokes[2];
+      // Cubic midpoint at t = 0.5: (170, 32.5) user units
+      const curveMiddle = curve.reduce((best, p) => (p.y > best.y ? p : best));
+
+      const pathData = strokesToPathData(strokes, width, height);
+
+      // A trailing x without its y is dropped instead of turning into NaN
+      const odd = importSvg(`<svg xmlns="http://www.w3.org/2000/svg" width="10mm" height="10mm" viewBox="0 0 10 10">
+        <polyline points="0,0 10,0 10,10 5"/></svg>`).strokes[0].map(round);
+
+      // A square viewBox on a 100 x 50 mm page: centered without distortion by default,
+      // stretched only with preserveAspectRatio="none"
+      const square = aspect => importSvg(`<svg xmlns="http://www.w3.org/2000/svg" width="100mm" height="50mm"
+        viewBox="0 0 10 10"${aspect}><rect x="0" y="0" width="10" height="10"/></svg>`).strokes[0].map(round);
+
+      return {
+        meet: square(''),
+        stretched: square(' preserveAspectRatio="none"'),
+        leftAligned: square(' preserveAspectRatio="xMinYMin meet"'),
+        width,
+        height,
+        count: strokes.length,
+        rect: strokes[0].map(round),
+        circleError: Math.max(...circle.map(p => Math.abs(Math.hypot(p.x - 50, p.y - 25) - 10))),
+        curveEnds: [round(curve[0]), round(curve[curve.length - 1])],
+        curveMiddle: round(curveMiddle),
+        line: strokes[3].map(round),
+        odd,
+        travels: pathData.path.filter(p => p.travel).length,
+        points: pathData.path.length,
+        totalPoints: strokes.reduce((total, stroke) => total + stroke.length, 0)
+      };
+    });
+
+    expect(result.width).toBe(100);
+    expect(result.height).toBe(50);
+    // The hidden line is skipped
+    expect(result.count).toBe(4);
+    expect(result.rect).toEqual([[5, 5], [15, 5], [15, 10], [5, 10], [5, 5]]);
+    expect(result.circleError).toBeLessThan(0.05);
+    expect(result.curveEnds).toEqual([[75, 5], [95, 5]]);
+    expect(result.curveMiddle[0]).toBeCloseTo(85, 0);
+    expect(result.curveMiddle[1]).toBeCloseTo(16.25, 1);
+    // scale(2) then rotate(90) about (100, 50): a vertical line through the center
+    expect(result.line).toEqual([[50, 20], [50, 30]]);
+    expect(result.odd).toEqual([[0, 0], [10, 0], [10, 10]]);
+    // Every stroke after the first starts with a pen lift
+    expect(result.travels).toBe(3);
+    expect(result.points).toBe(result.totalPoints);
+    expect(result.meet).toEqual([[25, 0], [75, 0], [75, 50], [25, 50], [25, 0]]);
+    expect(result.stretched).toEqual([[0, 0], [100, 0], [100, 50], [0, 50], [0, 0]]);
+    expect(result.leftAligned[2]).toEqual([50, 50]);
+  });
+
+  test('stroke ordering shortens travel, reverses and merges strokes', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      // Rows of short strokes listed far from each other; the middle row runs backwards
+      const toPath = strokes => strokes.flatMap((stroke, i) => [
+        { x: stroke[0], y: stroke[1], ...(i > 0 ? { travel: true } : {}) },
+        { x: stroke[2], y: stroke[3] }
+      ]);
+      const pathData = {
+        path: toPath([[0, 0, 10, 0], [50, 50, 60, 50], [20, 0, 10, 0], [60, 60, 50, 60], [20, 10, 30, 10]]),
+        outputWidth: 100,
+        outputHeight: 100
+      };
+      const ordered = optimizePathData(pathData);
+      const merged = optimizePathData(pathData, { mergeTouching: true });
+
+      // Pen layers keep their order even when the next layer starts closer
+      const layered = optimizePathData({
+        path: [
+          { x: 0, y: 0, layerStart: 0 }, { x: 1, y: 0 },
+          { x: 90, y: 0, travel: true }, { x: 91, y: 0 },
+          { x: 0, y: 5, travel: true, layerStart: 1 }, { x: 1, y: 5 }
+        ],
+        layers: [{ name: 'Black' }, { name: 'Red' }]
+      });
+
+      // The time limit also holds for nearest neighbour on many strokes
+      const many = [];
+      for (let i = 0; i < 30000; i++) {
+        const x = (i * 7919) % 1000, y = (i * 104729) % 1000;
+        many.push({ points: [{ x, y }, { x: x + 1, y }], layer: 0 });
+      }
+      const startedAt = performance.now();
+      const manyOrdered = optimizeStrokeOrder(many, { x: 0, y: 0 }, 100);
+      const manyTime = performance.now() - startedAt;
+
+      // The generator worker orders the strokes the same way as the page
+      const generation = { sheet: null, transform: {}, gcodeOptions: {}, finish: {}, optimizeOrder: true, mergeStrokes: false, tiling: null };
+      const fromWorker = await new Promise(resolve => {
+        const worker = new Worker('generator-worker.js');
+        worker.onmessage = event => {
+          if (event.data.type !== 'result') return;
+          worker.terminate();
+          resolve(event.data.output);
+        };
+        worker.postMessage({ imagePathData: pathData, generation });
+      });
+      const onPage = buildDrawingOutput(pathData, generation);
+
+      return {
+        travelBefore: ordered.travelBefore,
+        travelAfter: ordered.travelAfter,
+        points: ordered.pathData.path.map(p => [p.x, p.y]),
+        travels: ordered.pathData.path.filter(p => p.travel).length,
+        mergedTravels: merged.pathData.path.filter(p => p.travel).length,
+        layerStarts: layered.pathData.path.filter(p => p.layerStart !== undefined).map(p => [p.x, p.layerStart]),
+        workerPoints: fromWorker.pathData.path.map(p => [p.x, p.y]),
+        pagePoints: onPage.pathData.path.map(p => [p.x, p.y]),
+        workerTravel: fromWorker.travel,
+        manyTime,
+        // Every original point, whether its stroke was reversed or not
+        manyPoints: new Set(manyOrdered.flatMap(stroke => stroke.points)).size
+      };
+    });
+
+    expect(result.travelAfter).toBeLessThan(result.travelBefore / 2);
+    // The backwards stroke is drawn reversed, right after the one it touches
+    expect(result.points.slice(0, 4)).toEqual([[0, 0], [10, 0], [10, 0], [20, 0]]);
+    expect(result.travels).toBe(4);
+    // Merging drops the pen lift between the touching strokes
+    expect(result.mergedTravels).toBe(3);
+    expect(result.layerStarts).toEqual([[0, 0], [0, 1]]);
+    expect(result.workerPoints).toEqual(result.pagePoints);
+    expect(result.workerTravel).toEqual({ before: result.travelBefore, after: result.travelAfter });
+    expect(result.manyTime).toBeLessThan(1000);
+    expect(result.manyPoints).toBe(60000);
+  });
+
+  test('poster tiles clip strokes at the borders and zip one file per tile', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      // A diagonal across a 150 x 60 drawing, split into 100 x 60 tiles overlapping by 10
+      const pathData = {
+        path: [{ x: 0, y: 0 }, { x: 150, y: 60 }],
+        outputWidth: 150,
+        outputHeight: 60
+      };
+      const tiles = splitIntoTiles(pathData, { tileWidth: 100, tileHeight: 60, overlap: 10, marks: false });
+      const marked = splitIntoTiles(pathData, { tileWidth: 100, tileHeight: 60, overlap: 10 });
+
+      const zip = createZip([{ name: 'a.gcode', content: 'G0 X1\n' }, { name: 'b.gcode', content: 'G0 X2\n' }]);
+      const names = await new Response(new Blob([zip])).text();
+
+      return {
+        grid: tiles.map(tile => [tile.row, tile.col, tile.x]),
+        points: tiles.map(tile => tile.pathData.path.map(p => [p.x, p.y])),
+        size: [tiles[1].pathData.outputWidth, tiles[1].pathData.outputHeight],
+        markTravels: marked[0].pathData.path.filter(p => p.travel).length,
+        markPoints: marked[1].pathData.path.slice(2).map(p => [p.x, p.y]),
+        crc: crc32(new TextEncoder().encode('123456789')),
+        zipSignature: Array.from(zip.slice(0, 4)),
+        zipHasNames: names.includes('a.gcode') && names.includes('b.gcode')
+      };
+    });
+
+    expect(result.grid).toEqual([[0, 0, 0], [0, 1, 90]]);
+    // The diagonal is cut exactly at x = 100 on the first tile and starts at x = 90
+    // (local 0) on the second, so the overlap is drawn on both
+    expect(result.points[0]).toEqual([[0, 0], [100, 40]]);
+    expect(result.points[1]).toEqual([[0, 36], [60, 60]]);
+    expect(result.size).toEqual([100, 60]);
+    // Crosshairs in the middle of the overlap and at the far corners, drawn as separate strokes
+    expect(result.markTravels).toBeGreaterThan(0);
+    expect(result.markPoints).toContainEqual([0, 5]);
+    expect(result.markPoints).toContainEqual([10, 5]);
+    expect(result.crc).toBe(0xcbf43926);
+    expect(result.zipSignature).toEqual([0x50, 0x4b, 0x03, 0x04]);
+    expect(result.zipHasNames).toBe(true);
+  });
 });
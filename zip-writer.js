@@ -0,0 +1,114 @@
+/**
+ * ZIP Writer
+ * Packs generated text files into an uncompressed ZIP archive for a single download
+ */
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 checksum of a byte array, as used by ZIP
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a ZIP archive with the files stored as they are (no compression).
+ * files: [{ name, content }] with content a string (written as UTF-8) or a Uint8Array;
+ * date is the modification time recorded for every file.
+ * Returns the archive as a Uint8Array.
+ */
+function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const dosDate = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    const entries = files.map(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+        return { name, data, crc: crc32(data) };
+    });
+
+    const localSize = entries.reduce((total, entry) => total + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = entries.reduce((total, entry) => total + 46 + entry.name.length, 0);
+    const archive = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(archive.buffer);
+    let offset = 0;
+
+    // Fields shared by the local and central headers, from "version needed" on;
+    // flag bit 11 marks the names as UTF-8
+    const writeCommonFields = entry => {
+        view.setUint16(offset, 20, true);
+        view.setUint16(offset + 2, 0x0800, true);
+        view.setUint16(offset + 4, 0, true);
+        view.setUint16(offset + 6, dosTime, true);
+        view.setUint16(offset + 8, dosDate, true);
+        view.setUint32(offset + 10, entry.crc, true);
+        view.setUint32(offset + 14, entry.data.length, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint16(offset + 22, entry.name.length, true);
+        view.setUint16(offset + 24, 0, true);
+        offset += 26;
+    };
+
+    entries.forEach(entry => {
+        entry.offset = offset;
+        view.setUint32(offset, 0x04034b50, true);
+        offset += 4;
+        writeCommonFields(entry);
+        archive.set(entry.name, offset);
+        offset += entry.name.length;
+        archive.set(entry.data, offset);
+        offset += entry.data.length;
+    });
+
+    const centralOffset = offset;
+    entries.forEach(entry => {
+        view.setUint32(offset, 0x02014b50, true);
+        view.setUint16(offset + 4, 20, true);
+        offset += 6;
+        writeCommonFields(entry);
+        view.setUint16(offset, 0, true);
+        view.setUint16(offset + 2, 0, true);
+        view.setUint16(offset + 4, 0, true);
+        view.setUint32(offset + 6, 0, true);
+        view.setUint32(offset + 10, entry.offset, true);
+        offset += 14;
+        archive.set(entry.name, offset);
+        offset += entry.name.length;
+    });
+
+    // End of central directory
+    view.setUint32(offset, 0x06054b50, true);
+    view.setUint16(offset + 4, 0, true);
+    view.setUint16(offset + 6, 0, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, centralSize, true);
+    view.setUint32(offset + 16, centralOffset, true);
+    view.setUint16(offset + 20, 0, true);
+
+    return archive;
+}
+
+// Export functions for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        crc32,
+        createZip
+    };
+}